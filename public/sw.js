@@ -0,0 +1,80 @@
+// Caches the app shell so Sheet Cards opens without a network. Built assets
+// have hashed names, so they are cached on first use (and those referenced by
+// index.html at install time); the page itself is network-first so a new
+// deploy is picked up as soon as it can be fetched. Google APIs and other
+// cross-origin requests are never cached here: card data for offline study
+// lives in IndexedDB.
+//
+// Each build registers this worker with its own `?build=` id, which names the
+// cache. Activating a new build deletes the previous build's cache, so hashed
+// assets from old deploys do not pile up.
+const BUILD_ID = new URL(self.location.href).searchParams.get("build") || "dev";
+const CACHE_NAME = `sheet-cards-${BUILD_ID}`;
+const SHELL_URL = new URL("./", self.registration.scope).toString();
+
+async function cacheShell() {
+  const cache = await caches.open(CACHE_NAME);
+  const response = await fetch(SHELL_URL, { cache: "no-cache" });
+  if (!response.ok) return;
+  await cache.put(SHELL_URL, response.clone());
+  const html = await response.text();
+  const assetUrls = [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+    .map((match) => new URL(match[1], SHELL_URL))
+    .filter((url) => url.origin === self.location.origin)
+    .map((url) => url.toString());
+  await cache.addAll([...new Set(assetUrls)]);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    const shellPath = new URL(SHELL_URL).pathname;
+    const isShell = url.pathname === shellPath || url.pathname === `${shellPath}index.html`;
+    const cacheKey = isShell ? SHELL_URL : request;
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(cacheKey, copy));
+          }
+          return response;
+        })
+        .catch(async () => (await caches.match(cacheKey)) || caches.match(SHELL_URL))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+          }
+          return response;
+        })
+    )
+  );
+});
@@ -1,7 +1,11 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import sqlWasmUrl from "sql.js/dist/sql-wasm-browser.wasm?url";
 import sheetCardsLogo from "./assets/sheet-cards-logo.svg";
 
 const SHEETS_SCOPE = "https://www.googleapis.com/auth/drive.file";
+// `openid email` lets the app tell learners apart and give each their own
+// progress tabs.
+const GOOGLE_SCOPES = [SHEETS_SCOPE, "openid", "email"].join(" ");
 const STAT_FIELDS = [
   "seen_count",
   "correct_count",
@@ -9,9 +13,50 @@ const STAT_FIELDS = [
   "streak",
   "last_seen_at",
   "last_result",
-  "mastery"
+  "mastery",
+  "interval_days",
+  "ease",
+  "due_at",
+  "avg_response_ms",
+  "last_response_ms",
+  "lapses",
+  "card_status",
+  "buried_until"
 ];
-const REQUIRED_STATS_FIELDS = [...STAT_FIELDS];
+const SCHEDULE_STATS_FIELDS = ["interval_days", "ease", "due_at"];
+const RESPONSE_STATS_FIELDS = ["avg_response_ms", "last_response_ms"];
+const STATUS_STATS_FIELDS = ["lapses", "card_status", "buried_until"];
+const OPTIONAL_STATS_FIELDS = [
+  ...SCHEDULE_STATS_FIELDS,
+  ...RESPONSE_STATS_FIELDS,
+  ...STATUS_STATS_FIELDS
+];
+const REQUIRED_STATS_FIELDS = STAT_FIELDS.filter(
+  (field) => !OPTIONAL_STATS_FIELDS.includes(field)
+);
+// Per-direction counters and review schedules live in prefixed copies of the
+// core stat columns.
+const DIRECTION_STATS_PREFIXES = {
+  front_to_back: "forward_",
+  back_to_front: "reverse_"
+};
+const DIRECTION_STAT_PROPS = {
+  seen_count: "seenCount",
+  correct_count: "correctCount",
+  wrong_count: "wrongCount",
+  streak: "streak",
+  mastery: "mastery"
+};
+const DIRECTION_SCHEDULE_PROPS = {
+  interval_days: "intervalDays",
+  ease: "ease",
+  due_at: "dueAt"
+};
+const DIRECTION_STATS_FIELDS = Object.values(DIRECTION_STATS_PREFIXES).flatMap((prefix) =>
+  [...Object.keys(DIRECTION_STAT_PROPS), ...Object.keys(DIRECTION_SCHEDULE_PROPS)].map(
+    (field) => `${prefix}${field}`
+  )
+);
 const CARD_TEMPLATE_HEADERS = [
   "question",
   "answer",
@@ -20,6 +65,8 @@ const CARD_TEMPLATE_HEADERS = [
   "question_explanation",
   "answer_explanation"
 ];
+const CARD_MEDIA_HEADERS = ["question_image", "answer_image", "audio"];
+const CARD_SHEET_HEADERS = [...CARD_TEMPLATE_HEADERS, "card_id", ...CARD_MEDIA_HEADERS];
 const STATS_TEMPLATE_HEADERS = [
   "question",
   "answer",
@@ -30,17 +77,131 @@ const STATS_TEMPLATE_HEADERS = [
   "streak",
   "last_seen_at",
   "last_result",
-  "mastery"
+  "mastery",
+  "interval_days",
+  "ease",
+  "due_at",
+  "card_id",
+  "avg_response_ms",
+  "last_response_ms",
+  "forward_times_seen",
+  "forward_times_correct",
+  "forward_times_wrong",
+  "forward_streak",
+  "forward_mastery",
+  "reverse_times_seen",
+  "reverse_times_correct",
+  "reverse_times_wrong",
+  "reverse_streak",
+  "reverse_mastery",
+  "lapses",
+  "card_status",
+  "buried_until",
+  "forward_interval_days",
+  "forward_ease",
+  "forward_due_at",
+  "reverse_interval_days",
+  "reverse_ease",
+  "reverse_due_at"
 ];
 const CARD_DATA_SHEET = "Card Data";
 const CARD_STATS_SHEET = "Card Progress";
+const REVIEW_LOG_SHEET = "Review Log";
+const REVIEW_LOG_HEADERS = [
+  "timestamp",
+  "deck",
+  "card_id",
+  "question",
+  "answer",
+  "direction",
+  "answer_mode",
+  "chosen",
+  "result",
+  "wrong_selections",
+  "choice_count",
+  "response_ms",
+  "learner"
+];
+const CARD_EDITOR_FIELDS = [
+  { key: "front", label: "Question" },
+  { key: "back", label: "Answer" },
+  { key: "romanization", label: "Pronunciation" },
+  { key: "tags", label: "Tags (comma-separated)" },
+  { key: "questionExplanation", label: "Question Explanation" },
+  { key: "answerExplanation", label: "Answer Explanation" },
+  {
+    key: "questionImage",
+    label: "Question Image (URL or Drive file ID)",
+    media: "image",
+    pickLabel: "Pick Question Image From Drive"
+  },
+  {
+    key: "answerImage",
+    label: "Answer Image (URL or Drive file ID)",
+    media: "image",
+    pickLabel: "Pick Answer Image From Drive"
+  },
+  {
+    key: "audio",
+    label: "Audio (URL or Drive file ID)",
+    media: "audio",
+    pickLabel: "Pick Audio From Drive"
+  }
+];
+// File types the media Picker offers for each kind of card media field.
+const MEDIA_PICKER_MIME_TYPES = {
+  image: "image/png,image/jpeg,image/gif,image/webp,image/svg+xml",
+  audio: "audio/mpeg,audio/mp4,audio/ogg,audio/wav,audio/webm"
+};
+const IMPORT_PREVIEW_LIMIT = 200;
+const ANKI_FIELD_ROLES = {
+  front: ["front", "question", "text", "expression", "word", "term", "vocab"],
+  back: ["back", "answer", "meaning", "definition", "translation", "english"],
+  romanization: ["pronunciation", "reading", "romanization", "romaji", "pinyin", "ipa"],
+  questionExplanation: ["hint", "context"],
+  answerExplanation: ["extra", "back extra", "notes", "explanation", "example"]
+};
+const QUIZLET_SEPARATORS = {
+  term: { tab: "\t", comma: "," },
+  row: { newline: "\n", semicolon: ";" }
+};
+// An empty limit or tag list means "no restriction"; the status options keep a
+// card when it matches any ticked one.
+const DEFAULT_ROUND_FILTERS = {
+  limit: "",
+  includeTags: "",
+  excludeTags: "",
+  minMastery: 0,
+  maxMastery: 1,
+  missedLastTime: false,
+  neverSeen: false,
+  dueOnly: false
+};
+const STUDY_SHORTCUTS = [
+  { keys: "1-6", action: "Pick that answer choice" },
+  { keys: "Enter / Space", action: "Next card (Manual Next)" },
+  { keys: "R", action: "Read question" },
+  { keys: "A", action: "Read answers" },
+  { keys: "S", action: "Stop voice" },
+  { keys: "Esc", action: "Pause to Round Stats" },
+  { keys: "?", action: "Show or hide this list" }
+];
+// `{{c1::answer}}` or `{{c1::answer::hint}}`, as written in Anki cloze notes.
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+const DECK_TITLE_SEPARATOR = ": ";
+const LEARNER_TAB_SEPARATOR = " - ";
+const MAIN_DECK_LABEL = "Main";
 const CARD_COLUMN_ALIASES = {
   front: ["question"],
   back: ["answer"],
   romanization: ["pronunciation"],
   tags: ["tags"],
   question_explanation: ["question_explanation"],
-  answer_explanation: ["answer_explanation"]
+  answer_explanation: ["answer_explanation"],
+  card_id: ["card_id"],
+  question_image: ["question_image"],
+  answer_image: ["answer_image"],
+  audio: ["audio"]
 };
 const STATS_COLUMN_ALIASES = {
   front: ["question"],
@@ -52,14 +213,101 @@ const STATS_COLUMN_ALIASES = {
   streak: ["streak"],
   last_seen_at: ["last_seen_at"],
   last_result: ["last_result"],
-  mastery: ["mastery"]
+  mastery: ["mastery"],
+  interval_days: ["interval_days"],
+  ease: ["ease"],
+  due_at: ["due_at"],
+  card_id: ["card_id"],
+  avg_response_ms: ["avg_response_ms"],
+  last_response_ms: ["last_response_ms"],
+  forward_seen_count: ["forward_times_seen"],
+  forward_correct_count: ["forward_times_correct"],
+  forward_wrong_count: ["forward_times_wrong"],
+  forward_streak: ["forward_streak"],
+  forward_mastery: ["forward_mastery"],
+  reverse_seen_count: ["reverse_times_seen"],
+  reverse_correct_count: ["reverse_times_correct"],
+  reverse_wrong_count: ["reverse_times_wrong"],
+  reverse_streak: ["reverse_streak"],
+  reverse_mastery: ["reverse_mastery"],
+  lapses: ["lapses"],
+  card_status: ["card_status"],
+  buried_until: ["buried_until"],
+  forward_interval_days: ["forward_interval_days"],
+  forward_ease: ["forward_ease"],
+  forward_due_at: ["forward_due_at"],
+  reverse_interval_days: ["reverse_interval_days"],
+  reverse_ease: ["reverse_ease"],
+  reverse_due_at: ["reverse_due_at"]
 };
+// Optional Card Progress columns in template order. Load appends the ones a tab
+// lacks in this order, so a migrated tab is laid out like a new one.
+const STATS_APPENDED_FIELDS = templateFields(STATS_TEMPLATE_HEADERS, STATS_COLUMN_ALIASES).filter(
+  (field) => [...OPTIONAL_STATS_FIELDS, "card_id", ...DIRECTION_STATS_FIELDS].includes(field)
+);
+const CARD_STATUSES = ["suspended", "buried"];
+const SETTINGS_SHEET = "Settings";
+const SETTINGS_HEADERS = ["deck", "key", "value"];
+// Options a `Settings` tab can set. Rows with a blank deck apply to every deck
+// in the spreadsheet; a row naming a deck overrides them for that deck.
+const DECK_SETTING_FIELDS = [
+  { key: "four_choices_at", prop: "fourChoicesAt", label: "4 Choices From Mastery", type: "ratio", defaultValue: 0.4 },
+  { key: "six_choices_at", prop: "sixChoicesAt", label: "6 Choices From Mastery", type: "ratio", defaultValue: 0.8 },
+  { key: "mastery_accuracy_weight", prop: "masteryAccuracyWeight", label: "Mastery: Accuracy Weight", type: "ratio", defaultValue: 0.62 },
+  { key: "mastery_streak_weight", prop: "masteryStreakWeight", label: "Mastery: Streak Weight", type: "ratio", defaultValue: 0.24 },
+  { key: "mastery_speed_weight", prop: "masterySpeedWeight", label: "Mastery: Speed Weight", type: "ratio", defaultValue: 0.14 },
+  { key: "mastery_wrong_penalty", prop: "masteryWrongPenalty", label: "Mastery: Wrong Penalty", type: "ratio", defaultValue: 0.2 },
+  // A miss on a card whose streak was running counts as a lapse; this many
+  // lapses mark the card as a leech (0 turns leeches off).
+  { key: "leech_lapses", prop: "leechLapses", label: "Leech After Lapses", type: "count", defaultValue: 8 },
+  { key: "auto_advance_ms", prop: "autoAdvanceMs", label: "Auto Next Delay (ms)", type: "count", defaultValue: 1500 },
+  {
+    key: "study_mode",
+    prop: "studyMode",
+    label: "Study Direction",
+    type: "choice",
+    options: ["front_only", "back_only", "random"],
+    defaultValue: "front_only"
+  },
+  { key: "auto_read_question", prop: "autoReadQuestion", label: "Auto Read Question", type: "boolean", defaultValue: false }
+];
+const DEFAULT_DECK_SETTINGS = Object.fromEntries(
+  DECK_SETTING_FIELDS.map((field) => [field.prop, field.defaultValue])
+);
+const APP_STAGES = ["connect", "sheet", "study", "summary", "stats"];
 const STORAGE_KEYS = {
   sheetRef: "sheetCards.sheetRef",
   recentSheetRefs: "sheetCards.recentSheetRefs",
-  recentSheetNames: "sheetCards.recentSheetNames"
+  recentSheetNames: "sheetCards.recentSheetNames",
+  localMode: "sheetCards.localMode",
+  roundFilters: "sheetCards.roundFilters",
+  roundPresets: "sheetCards.roundPresets"
 };
 const RECENT_SHEETS_LIMIT = 6;
+const APP_DB_NAME = "sheetCards";
+const APP_DB_VERSION = 4;
+const APP_DB_STORES = {
+  pendingWrites: "pendingWrites",
+  localSpreadsheets: "localSpreadsheets",
+  mediaCache: "mediaCache",
+  deckSnapshots: "deckSnapshots"
+};
+const SNAPSHOT_SAVE_DELAY_MS = 1000;
+const LOCAL_SPREADSHEET_PREFIX = "local-";
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const TOKEN_REQUEST_TIMEOUT_MS = 20 * 1000;
+const FLUSH_RETRY_BASE_MS = 2000;
+const FLUSH_RETRY_MAX_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_INTERVAL_DAYS = 365;
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+const TYPED_CLOSE_RATIO = 0.2;
+const RESPONSE_TIME_CAP_MS = 60 * 1000;
+const RESPONSE_AVERAGE_WEIGHT = 0.3;
+const FAST_RESPONSE_MS = 2000;
+const SLOW_RESPONSE_MS = 12000;
 const DEFAULT_CLIENT_ID = import.meta.env.VITE_GOOGLE_CLIENT_ID || "";
 const DEFAULT_GOOGLE_API_KEY = import.meta.env.VITE_GOOGLE_API_KEY || "";
 const DEFAULT_GOOGLE_CLOUD_PROJECT_NUMBER =
@@ -92,6 +340,17 @@ function getStoredList(key) {
   }
 }
 
+function getStoredObject(key) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    if (!raw) return {};
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
 function getStoredMap(key) {
   try {
     const raw = window.localStorage.getItem(key);
@@ -111,6 +370,65 @@ function getStoredMap(key) {
   }
 }
 
+function openAppDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+    const request = window.indexedDB.open(APP_DB_NAME, APP_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(APP_DB_STORES).forEach((storeName) => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName);
+        }
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function runStoreRequest(storeName, mode, makeRequest) {
+  const db = await openAppDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function idbGet(storeName, key) {
+  return runStoreRequest(storeName, "readonly", (store) => store.get(key));
+}
+
+function idbPut(storeName, key, value) {
+  return runStoreRequest(storeName, "readwrite", (store) => store.put(value, key));
+}
+
+function idbDelete(storeName, key) {
+  return runStoreRequest(storeName, "readwrite", (store) => store.delete(key));
+}
+
+function idbClear(storeName) {
+  return runStoreRequest(storeName, "readwrite", (store) => store.clear());
+}
+
+function idbGetAll(storeName) {
+  return runStoreRequest(storeName, "readonly", (store) => store.getAll());
+}
+
+function flushRetryDelay(attempt) {
+  return Math.min(FLUSH_RETRY_BASE_MS * 2 ** Math.max(0, attempt - 1), FLUSH_RETRY_MAX_MS);
+}
+
 function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
 }
@@ -146,11 +464,65 @@ function createDefaultStats() {
     streak: 0,
     lastSeenAt: "",
     lastResult: "",
-    mastery: 0
+    mastery: 0,
+    intervalDays: 0,
+    ease: DEFAULT_EASE,
+    dueAt: "",
+    avgResponseMs: 0,
+    lastResponseMs: 0,
+    lapses: 0,
+    cardStatus: "",
+    buriedUntil: "",
+    directionStats: {
+      front_to_back: createDefaultDirectionStats(),
+      back_to_front: createDefaultDirectionStats()
+    }
+  };
+}
+
+function createDefaultDirectionStats() {
+  return {
+    seenCount: 0,
+    correctCount: 0,
+    wrongCount: 0,
+    streak: 0,
+    mastery: 0,
+    intervalDays: 0,
+    ease: DEFAULT_EASE,
+    dueAt: ""
+  };
+}
+
+// Stats used to pick and present a card in one direction. Rows written before
+// per-direction columns existed have no direction history yet, so they fall
+// back to the card's combined counters until one direction is answered.
+function studyStatsFor(card, direction) {
+  const directionStats = card.directionStats ?? {};
+  const own = directionStats[direction];
+  if (own?.seenCount > 0) {
+    return own;
+  }
+  const hasDirectionHistory = Object.values(directionStats).some(
+    (stats) => stats.seenCount > 0
+  );
+  return hasDirectionHistory ? own ?? createDefaultDirectionStats() : card;
+}
+
+function applyDirectionResult(stats, hadMistake, grade, avgResponseMs, settings) {
+  const current = stats ?? createDefaultDirectionStats();
+  const next = {
+    seenCount: current.seenCount + 1,
+    correctCount: current.correctCount + (hadMistake ? 0 : 1),
+    wrongCount: current.wrongCount + (hadMistake ? 1 : 0),
+    streak: hadMistake ? 0 : current.streak + 1,
+    mastery: 0,
+    ...scheduleReview(current, grade)
   };
+  next.mastery = computeMastery({ ...next, avgResponseMs }, settings);
+  return next;
 }
 
-function computeMastery(stats) {
+function computeMastery(stats, settings = DEFAULT_DECK_SETTINGS) {
   const seen = Math.max(0, stats.seenCount);
   const correct = Math.max(0, stats.correctCount);
   const wrong = Math.max(0, stats.wrongCount);
@@ -163,14 +535,298 @@ function computeMastery(stats) {
   const accuracy = correct / seen;
   const streakBonus = Math.min(streak, 10) / 10;
   const wrongPenalty = wrong / seen;
-  const score = accuracy * 0.72 + streakBonus * 0.28 - wrongPenalty * 0.2;
+  const avgResponseMs = Math.max(0, Number(stats.avgResponseMs) || 0);
+  const {
+    masteryAccuracyWeight: accuracyWeight,
+    masteryStreakWeight: streakWeight,
+    masterySpeedWeight: speedWeight,
+    masteryWrongPenalty: wrongWeight
+  } = settings;
+  // Cards without timing data (answered before response times were tracked)
+  // keep an accuracy/streak-only score: the speed weight is shared 5:2
+  // between accuracy and streak.
+  const score =
+    avgResponseMs > 0
+      ? accuracy * accuracyWeight +
+        streakBonus * streakWeight +
+        responseSpeedScore(avgResponseMs) * speedWeight -
+        wrongPenalty * wrongWeight
+      : accuracy * (accuracyWeight + (speedWeight * 5) / 7) +
+        streakBonus * (streakWeight + (speedWeight * 2) / 7) -
+        wrongPenalty * wrongWeight;
 
   return Number(clamp(score, 0, 1).toFixed(4));
 }
 
-function masteryToChoiceCount(mastery) {
-  if (mastery < 0.4) return 2;
-  if (mastery < 0.8) return 4;
+// 1 for answers at or under FAST_RESPONSE_MS, falling linearly to 0 at SLOW_RESPONSE_MS.
+function responseSpeedScore(responseMs) {
+  return clamp(
+    (SLOW_RESPONSE_MS - responseMs) / (SLOW_RESPONSE_MS - FAST_RESPONSE_MS),
+    0,
+    1
+  );
+}
+
+// Folds one timed answer into the card's response stats. The average is
+// exponentially weighted so recent answers count more than old ones.
+function recordResponseTime(stats, responseMs) {
+  if (!Number.isFinite(responseMs) || responseMs <= 0) {
+    return {
+      avgResponseMs: stats.avgResponseMs,
+      lastResponseMs: stats.lastResponseMs
+    };
+  }
+  const capped = Math.round(Math.min(responseMs, RESPONSE_TIME_CAP_MS));
+  const previous = Math.max(0, Number(stats.avgResponseMs) || 0);
+  return {
+    avgResponseMs:
+      previous > 0
+        ? Math.round(previous + (capped - previous) * RESPONSE_AVERAGE_WEIGHT)
+        : capped,
+    lastResponseMs: capped
+  };
+}
+
+function parseTimestamp(value) {
+  const parsed = Date.parse(String(value ?? "").trim());
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function roundInterval(days) {
+  return Number(clamp(days, 0, MAX_INTERVAL_DAYS).toFixed(2));
+}
+
+// SM-2 style scheduling. `grade` is "again" (missed before completing),
+// "hard" (accepted but shaky) or "good" (first-try correct). Stats passed in
+// are the values before this answer was applied.
+function scheduleReview(stats, grade, now = Date.now()) {
+  const previousInterval = Math.max(0, parseNumber(stats.intervalDays));
+  const previousEase = parseNumber(stats.ease) || DEFAULT_EASE;
+
+  if (grade === "again") {
+    return {
+      intervalDays: 0,
+      ease: Number(Math.max(MIN_EASE, previousEase - 0.2).toFixed(2)),
+      dueAt: new Date(now + RELEARN_DELAY_MS).toISOString()
+    };
+  }
+
+  let ease = previousEase;
+  let intervalDays;
+  if (grade === "hard") {
+    ease = Math.max(MIN_EASE, previousEase - 0.15);
+    intervalDays = previousInterval < 1 ? 1 : previousInterval * 1.2;
+  } else {
+    const repetition = Math.max(0, stats.streak) + 1;
+    if (repetition === 1 || previousInterval < 1) {
+      intervalDays = 1;
+    } else if (repetition === 2) {
+      intervalDays = 6;
+    } else {
+      intervalDays = previousInterval * ease;
+    }
+  }
+
+  intervalDays = roundInterval(intervalDays);
+  return {
+    intervalDays,
+    ease: Number(ease.toFixed(2)),
+    dueAt: new Date(now + intervalDays * DAY_MS).toISOString()
+  };
+}
+
+// Rebuilds schedule fields for progress rows written before the scheduler
+// existed, so migrated sheets keep their counters and get sensible due dates.
+function seedScheduleFromHistory(stats) {
+  if (stats.seenCount <= 0) {
+    return { intervalDays: 0, ease: DEFAULT_EASE, dueAt: "" };
+  }
+
+  const wrongRate = stats.wrongCount / stats.seenCount;
+  const ease = clamp(DEFAULT_EASE - wrongRate * 1.2, MIN_EASE, DEFAULT_EASE);
+  const streak = Math.max(0, stats.streak);
+  let intervalDays = 0;
+  if (streak === 1) {
+    intervalDays = 1;
+  } else if (streak >= 2) {
+    intervalDays = 6 * ease ** (streak - 2);
+  }
+  intervalDays = roundInterval(intervalDays);
+
+  const lastSeen = parseTimestamp(stats.lastSeenAt) ?? Date.now();
+  return {
+    intervalDays,
+    ease: Number(ease.toFixed(2)),
+    dueAt: new Date(lastSeen + intervalDays * DAY_MS).toISOString()
+  };
+}
+
+function startOfNextDay(now = Date.now()) {
+  const date = new Date(now);
+  date.setHours(24, 0, 0, 0);
+  return date.toISOString();
+}
+
+function isLeech(card, settings = DEFAULT_DECK_SETTINGS) {
+  return settings.leechLapses > 0 && card.lapses >= settings.leechLapses;
+}
+
+// Suspended cards stay out of study until restored; buried cards come back
+// once `buriedUntil` (the start of the next day) has passed. Burying leaves the
+// review schedule in `dueAt` alone.
+function isCardSetAside(card, now = Date.now()) {
+  if (card.cardStatus === "suspended") return true;
+  if (card.cardStatus !== "buried") return false;
+  const until = parseTimestamp(card.buriedUntil);
+  return until != null && until > now;
+}
+
+function isCardDue(card, now = Date.now()) {
+  if (card.seenCount <= 0) return false;
+  const due = parseTimestamp(card.dueAt);
+  return due == null || due <= now;
+}
+
+// The stats round filters and due counts judge a card by in `studyMode`: the
+// direction it will be asked in, as in scheduling. In random mode either
+// direction may come up, so the one needing work first counts: due, then new,
+// then the one due soonest.
+function modeStatsFor(card, studyMode, now = Date.now()) {
+  const directions =
+    studyMode === "front_only"
+      ? ["front_to_back"]
+      : studyMode === "back_only"
+        ? ["back_to_front"]
+        : ["front_to_back", "back_to_front"];
+  const urgency = (stats) => {
+    if (stats.seenCount <= 0) return [1, 0];
+    return [isCardDue(stats, now) ? 0 : 2, parseTimestamp(stats.dueAt) ?? 0];
+  };
+  return directions
+    .map((direction) => studyStatsFor(card, directionForCard(card, direction)))
+    .reduce((best, stats) => {
+      const [rank, dueTime] = urgency(stats);
+      const [bestRank, bestDueTime] = urgency(best);
+      return rank < bestRank || (rank === bestRank && dueTime < bestDueTime) ? stats : best;
+    });
+}
+
+// Splits cards into "due now" (most overdue first), never-seen cards, and
+// cards scheduled for later (soonest first). `statsFor` picks the schedule to
+// classify by: the combined one by default, or one study direction's.
+function buildStudyQueues(cards, now = Date.now(), statsFor = (card) => card) {
+  const due = [];
+  const fresh = [];
+  const later = [];
+
+  for (const card of cards) {
+    const stats = statsFor(card);
+    if (stats.seenCount <= 0) {
+      fresh.push(card);
+    } else if (isCardDue(stats, now)) {
+      due.push(card);
+    } else {
+      later.push(card);
+    }
+  }
+
+  const dueTime = (card) => parseTimestamp(statsFor(card).dueAt) ?? 0;
+  const overdueRatio = (card) => {
+    const intervalMs = Math.max(
+      parseNumber(statsFor(card).intervalDays) * DAY_MS,
+      RELEARN_DELAY_MS
+    );
+    return (now - dueTime(card)) / intervalMs;
+  };
+  due.sort((a, b) => overdueRatio(b) - overdueRatio(a));
+  later.sort((a, b) => dueTime(a) - dueTime(b));
+
+  return { due, fresh, later };
+}
+
+function normalizeRoundFilters(value) {
+  const source = value && typeof value === "object" ? value : {};
+  const limit = Math.floor(parseNumber(source.limit));
+  const band = [source.minMastery, source.maxMastery].map((item, index) => {
+    const number = Number(item);
+    return Number.isFinite(number) ? clamp(number, 0, 1) : index;
+  });
+  return {
+    ...DEFAULT_ROUND_FILTERS,
+    limit: limit > 0 ? String(limit) : "",
+    includeTags: String(source.includeTags ?? ""),
+    excludeTags: String(source.excludeTags ?? ""),
+    minMastery: Math.min(...band),
+    maxMastery: Math.max(...band),
+    missedLastTime: Boolean(source.missedLastTime),
+    neverSeen: Boolean(source.neverSeen),
+    dueOnly: Boolean(source.dueOnly)
+  };
+}
+
+function normalizeRoundPresets(value) {
+  return Object.entries(value ?? {}).reduce((acc, [name, filters]) => {
+    if (name.trim() && filters && typeof filters === "object") {
+      acc[name.trim()] = normalizeRoundFilters(filters);
+    }
+    return acc;
+  }, {});
+}
+
+// The cards a round still covers: those picked by the round setup (all cards
+// when `roundIds` is null), minus suspended and buried ones.
+function studyableRoundCards(cards, roundIds, now = Date.now()) {
+  return cards.filter(
+    (card) => (!roundIds || roundIds.has(card.cardId)) && !isCardSetAside(card, now)
+  );
+}
+
+function hasRoundFilters(filters) {
+  return (
+    Boolean(filters.limit) ||
+    parseTags(filters.includeTags).length > 0 ||
+    parseTags(filters.excludeTags).length > 0 ||
+    filters.minMastery > 0 ||
+    filters.maxMastery < 1 ||
+    filters.missedLastTime ||
+    filters.neverSeen ||
+    filters.dueOnly
+  );
+}
+
+// Cards for a round built from the round setup. Mastery, new and due are
+// judged per study direction, like scheduling. When a limit applies, the cards
+// the scheduler would ask first are kept: due, then new, then later.
+function selectRoundCards(cards, filters, studyMode, now = Date.now()) {
+  const foldTags = (text) => new Set(parseTags(text).map((tag) => tag.toLowerCase()));
+  const includeTags = foldTags(filters.includeTags);
+  const excludeTags = foldTags(filters.excludeTags);
+  const statsFor = (card) => modeStatsFor(card, studyMode, now);
+  const statusChecks = [
+    filters.missedLastTime && ((card) => card.lastResult === "wrong"),
+    filters.neverSeen && ((card) => statsFor(card).seenCount <= 0),
+    filters.dueOnly && ((card) => isCardDue(statsFor(card), now))
+  ].filter(Boolean);
+
+  const matching = cards.filter((card) => {
+    if (isCardSetAside(card, now)) return false;
+    const tags = card.tags.map((tag) => tag.toLowerCase());
+    if (includeTags.size > 0 && !tags.some((tag) => includeTags.has(tag))) return false;
+    if (tags.some((tag) => excludeTags.has(tag))) return false;
+    const { mastery } = statsFor(card);
+    if (mastery < filters.minMastery || mastery > filters.maxMastery) return false;
+    return statusChecks.length === 0 || statusChecks.some((check) => check(card));
+  });
+
+  const limit = parseNumber(filters.limit);
+  if (!limit || matching.length <= limit) return matching;
+  const { due, fresh, later } = buildStudyQueues(matching, now, statsFor);
+  return [...due, ...fresh, ...later].slice(0, limit);
+}
+
+function masteryToChoiceCount(mastery, settings = DEFAULT_DECK_SETTINGS) {
+  if (mastery < settings.fourChoicesAt) return 2;
+  if (mastery < settings.sixChoicesAt) return 4;
   return 6;
 }
 
@@ -191,9 +847,19 @@ function parseTags(value) {
     .filter(Boolean);
 }
 
+function isLocalSpreadsheetId(value) {
+  return String(value || "").startsWith(LOCAL_SPREADSHEET_PREFIX);
+}
+
+// Local sheets never need a Google token; everything else does.
+function canReachSpreadsheet(spreadsheetId, accessToken) {
+  return isLocalSpreadsheetId(spreadsheetId) || Boolean(accessToken);
+}
+
 function parseSpreadsheetId(input) {
   const value = input.trim();
   if (!value) return "";
+  if (isLocalSpreadsheetId(value)) return value;
 
   const match = value.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
   if (match) return match[1];
@@ -204,6 +870,25 @@ function parseSpreadsheetId(input) {
   return "";
 }
 
+// Media cells hold a web URL, a Google Drive share link or a bare Drive file ID.
+function parseMediaSource(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  const driveMatch = text.match(
+    /drive\.google\.com\/(?:file\/d\/|open\?id=|uc\?(?:export=\w+&)?id=)([a-zA-Z0-9_-]+)/
+  );
+  if (driveMatch) {
+    return { kind: "drive", fileId: driveMatch[1], key: `drive:${driveMatch[1]}` };
+  }
+  if (/^https?:\/\//i.test(text)) {
+    return { kind: "url", url: text, key: text };
+  }
+  if (/^[a-zA-Z0-9_-]{20,}$/.test(text)) {
+    return { kind: "drive", fileId: text, key: `drive:${text}` };
+  }
+  return null;
+}
+
 function normalizeRecentSheetRefs(list) {
   if (!Array.isArray(list)) return [];
   const seen = new Set();
@@ -231,6 +916,42 @@ function colIndexToLetter(index) {
   return result;
 }
 
+function colLetterToIndex(letters) {
+  let index = 0;
+  for (const letter of letters.toUpperCase()) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// Splits "'Tab'!B2:D9" into the tab title and zero-based bounds. Open ends
+// such as "A:Z" or "1:1" come back as Infinity.
+function parseA1Range(range) {
+  const text = String(range || "");
+  const bang = text.lastIndexOf("!");
+  const rawTitle = bang >= 0 ? text.slice(0, bang) : text;
+  const title = rawTitle.startsWith("'")
+    ? rawTitle.slice(1, -1).replace(/''/g, "'")
+    : rawTitle;
+  const [startRef = "", endRef = startRef] = bang >= 0 ? text.slice(bang + 1).split(":") : [];
+  const parseRef = (ref, fallback) => {
+    const match = ref.match(/^([A-Za-z]*)(\d*)$/) || [];
+    return {
+      col: match[1] ? colLetterToIndex(match[1]) : fallback,
+      row: match[2] ? Number(match[2]) - 1 : fallback
+    };
+  };
+  const start = parseRef(startRef, 0);
+  const end = parseRef(endRef, Infinity);
+  return {
+    title,
+    startRow: start.row,
+    startCol: start.col,
+    endRow: end.row,
+    endCol: end.col
+  };
+}
+
 function quoteSheetTitle(sheetTitle) {
   const title = String(sheetTitle || CARD_DATA_SHEET).trim() || CARD_DATA_SHEET;
   return `'${title.replace(/'/g, "''")}'`;
@@ -240,6 +961,162 @@ function makeRange(sheetTitle, a1Range) {
   return `${quoteSheetTitle(sheetTitle)}!${a1Range}`;
 }
 
+function deckDataTitle(deckName) {
+  return deckName ? `${CARD_DATA_SHEET}${DECK_TITLE_SEPARATOR}${deckName}` : CARD_DATA_SHEET;
+}
+
+function deckStatsTitle(deckName) {
+  return deckName ? `${CARD_STATS_SHEET}${DECK_TITLE_SEPARATOR}${deckName}` : CARD_STATS_SHEET;
+}
+
+function deckLabel(deckName) {
+  return deckName || MAIN_DECK_LABEL;
+}
+
+function parseSettingValue(field, raw) {
+  const text = String(raw ?? "").trim().toLowerCase();
+  if (!text) return undefined;
+  if (field.type === "boolean") {
+    if (["true", "yes", "on", "1"].includes(text)) return true;
+    if (["false", "no", "off", "0"].includes(text)) return false;
+    return undefined;
+  }
+  if (field.type === "choice") {
+    return field.options.includes(text) ? text : undefined;
+  }
+  const number = Number(text);
+  if (!Number.isFinite(number) || number < 0) return undefined;
+  return field.type === "ratio" ? Math.min(number, 1) : Math.round(number);
+}
+
+// The app's place lives in the URL hash, e.g.
+// `#/study?sheet=<id>&mode=back_only&tag=verbs&advance=3000`, so links work on
+// static hosting without server rewrites. Unknown or invalid values are dropped.
+function readAppRoute(hash) {
+  const [path, query = ""] = String(hash || "").replace(/^#\/?/, "").split("?");
+  const params = new URLSearchParams(query);
+  const modeField = DECK_SETTING_FIELDS.find((field) => field.key === "study_mode");
+  const advanceField = DECK_SETTING_FIELDS.find((field) => field.key === "auto_advance_ms");
+  const advance = String(params.get("advance") ?? "").trim().toLowerCase();
+  return {
+    stage: APP_STAGES.includes(path) ? path : "",
+    spreadsheetId: parseSpreadsheetId(params.get("sheet") ?? ""),
+    studyMode: parseSettingValue(modeField, params.get("mode")) ?? "",
+    tag: String(params.get("tag") ?? "").trim(),
+    advance: advance === "manual" ? "manual" : parseSettingValue(advanceField, advance) ?? ""
+  };
+}
+
+function buildAppRoute({ stage, spreadsheetId, studyMode, tag, advance }) {
+  const params = new URLSearchParams();
+  if (spreadsheetId) params.set("sheet", spreadsheetId);
+  if (studyMode) params.set("mode", studyMode);
+  if (tag) params.set("tag", tag);
+  if (advance !== "") params.set("advance", String(advance));
+  const query = params.toString();
+  return `#/${stage}${query ? `?${query}` : ""}`;
+}
+
+// `Settings` tab rows as `{ rowNumber, deck, key, value }`, header skipped.
+function readSettingsRows(values) {
+  return (values ?? [])
+    .slice(1)
+    .map((row, index) => ({
+      rowNumber: index + 2,
+      deck: String(row[0] ?? "").trim(),
+      key: String(row[1] ?? "").trim().toLowerCase(),
+      value: String(row[2] ?? "").trim()
+    }))
+    .filter((row) => row.key);
+}
+
+// Raw values set for one scope: "" for the spreadsheet-wide rows, or a deck
+// label. Later rows win over earlier ones with the same key.
+function settingsForScope(rows, scope) {
+  const target = scope.toLowerCase();
+  return rows.reduce((acc, row) => {
+    if (row.deck.toLowerCase() === target) acc[row.key] = row.value;
+    return acc;
+  }, {});
+}
+
+// The settings a deck explicitly sets, as `{ [prop]: value }`: spreadsheet-wide
+// rows first, then the deck's own rows.
+function explicitDeckSettings(rows, deckName) {
+  const settings = {};
+  for (const scope of ["", deckLabel(deckName)]) {
+    const values = settingsForScope(rows, scope);
+    for (const field of DECK_SETTING_FIELDS) {
+      const value = parseSettingValue(field, values[field.key]);
+      if (value !== undefined) settings[field.prop] = value;
+    }
+  }
+  return settings;
+}
+
+function resolveDeckSettings(rows, deckName) {
+  return { ...DEFAULT_DECK_SETTINGS, ...explicitDeckSettings(rows, deckName) };
+}
+
+// A learner's own copy of a progress tab, e.g. `Card Progress - ana@example.com`.
+// Without a learner (local sheets) the shared tab is used.
+function learnerStatsTitle(statsTitle, learner) {
+  return learner ? `${statsTitle}${LEARNER_TAB_SEPARATOR}${learner}` : statsTitle;
+}
+
+// Finds `Card Data` plus every `Card Data: <deck>` tab in spreadsheet metadata.
+// With a learner, each deck's `statsTitle` is that learner's progress tab.
+function discoverDecks(metadata, learner = "") {
+  const sheetsByTitle = new Map(
+    (metadata?.sheets ?? [])
+      .map((sheet) => sheet.properties)
+      .filter((properties) => properties?.title)
+      .map((properties) => [properties.title, properties])
+  );
+  const deckPrefix = `${CARD_DATA_SHEET}${DECK_TITLE_SEPARATOR}`;
+  const decks = [];
+  for (const title of sheetsByTitle.keys()) {
+    let name = null;
+    if (title === CARD_DATA_SHEET) {
+      name = "";
+    } else if (title.startsWith(deckPrefix)) {
+      name = title.slice(deckPrefix.length).trim();
+      if (!name || deckDataTitle(name) !== title) continue;
+    }
+    if (name == null) continue;
+
+    const sharedStatsTitle = deckStatsTitle(name);
+    const statsTitle = learnerStatsTitle(sharedStatsTitle, learner);
+    const learnerPrefix = `${sharedStatsTitle}${LEARNER_TAB_SEPARATOR}`;
+    decks.push({
+      name,
+      dataTitle: title,
+      statsTitle,
+      sharedStatsTitle,
+      sharedStatsSheetId: sheetsByTitle.get(sharedStatsTitle)?.sheetId,
+      dataSheetId: sheetsByTitle.get(title).sheetId,
+      hasStatsTab: sheetsByTitle.has(statsTitle),
+      hasLearnerTabs: [...sheetsByTitle.keys()].some((key) => key.startsWith(learnerPrefix))
+    });
+  }
+  return decks.sort((a, b) => (a.name === "" ? -1 : b.name === "" ? 1 : a.name.localeCompare(b.name)));
+}
+
+// Every learner's copy of a deck's progress tab. Learner tabs end in an email,
+// which keeps them apart from decks whose names contain the separator.
+function learnerStatsTabs(metadata, sharedStatsTitle) {
+  const prefix = `${sharedStatsTitle}${LEARNER_TAB_SEPARATOR}`;
+  return (metadata?.sheets ?? [])
+    .map((sheet) => sheet.properties?.title ?? "")
+    .filter((title) => title.startsWith(prefix))
+    .map((title) => ({ title, learner: title.slice(prefix.length).trim() }))
+    .filter(({ learner }) => learner.includes("@"));
+}
+
+function pendingKeyFor(statsTitle, rowNumber) {
+  return `${statsTitle}!${rowNumber}`;
+}
+
 function safeCell(row, index) {
   if (index == null || index < 0) return "";
   return row[index] ?? "";
@@ -268,82 +1145,817 @@ function buildAliasedColumnMap(headerRow, aliasesByField) {
   return normalized;
 }
 
-function pickWeightedCard(cards, excludeCardId) {
-  const pool =
-    cards.length > 1
-      ? cards.filter((card) => card.cardId !== excludeCardId)
-      : cards;
+// Column names for a template's headers, in template order.
+function templateFields(headers, aliasesByField) {
+  return headers.map((header) =>
+    Object.keys(aliasesByField).find((field) => aliasesByField[field][0] === header)
+  );
+}
 
-  if (pool.length === 0) {
-    return null;
+// Optional columns added after a sheet was created are appended to the end of
+// its header row so existing data never shifts. Returns the extended column map
+// plus the header cells that still need to be written.
+function planMissingHeaders(sheetTitle, headerRow, colByName, fields, aliasesByField) {
+  const nextColByName = { ...colByName };
+  const data = [];
+  let nextCol = headerRow.length;
+
+  for (const field of fields) {
+    if (Number.isInteger(nextColByName[field])) continue;
+    const header = aliasesByField[field][0];
+    nextColByName[field] = nextCol;
+    data.push({
+      range: makeRange(sheetTitle, `${colIndexToLetter(nextCol)}1`),
+      majorDimension: "ROWS",
+      values: [[header]]
+    });
+    nextCol += 1;
   }
 
-  const weights = pool.map((card) => Math.max(0.05, 1.15 - card.mastery));
-  const total = weights.reduce((sum, value) => sum + value, 0);
-  let roll = Math.random() * total;
-
-  for (let i = 0; i < pool.length; i += 1) {
-    roll -= weights[i];
-    if (roll <= 0) {
-      return pool[i];
-    }
-  }
-  return pool[pool.length - 1];
+  return { colByName: nextColByName, data };
 }
 
-function pickDistractors(target, cards, count, getAnswer) {
-  if (count <= 0) return [];
+function createCardId() {
+  const bytes = new Uint8Array(8);
+  window.crypto.getRandomValues(bytes);
+  return `c_${Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("")}`;
+}
 
-  const targetAnswer = String(getAnswer(target)).trim();
+function clozeIndexes(text) {
+  const indexes = new Set();
+  for (const match of String(text || "").matchAll(CLOZE_PATTERN)) {
+    indexes.add(Number(match[1]));
+  }
+  return [...indexes].filter((index) => index > 0).sort((a, b) => a - b);
+}
 
-  const sameTag = cards.filter(
-    (card) =>
-      card.cardId !== target.cardId &&
-      String(getAnswer(card)).trim() !== targetAnswer &&
-      target.tags.some((tag) => card.tags.includes(tag))
-  );
+function hasCloze(text) {
+  return clozeIndexes(text).length > 0;
+}
 
-  const fallback = cards.filter(
-    (card) =>
-      card.cardId !== target.cardId &&
-      String(getAnswer(card)).trim() !== targetAnswer
+// Blanks out cloze `activeIndex` (showing its hint, if any) and reveals the rest.
+function renderClozeQuestion(text, activeIndex) {
+  return String(text || "").replace(CLOZE_PATTERN, (_, index, answer, hint) =>
+    Number(index) === activeIndex ? `[${hint?.trim() || "..."}]` : answer
   );
+}
 
-  const selected = [];
-  const usedAnswers = new Set([targetAnswer]);
-  for (const card of shuffle(sameTag)) {
-    if (selected.length >= count) break;
-    const answer = String(getAnswer(card)).trim();
-    if (usedAnswers.has(answer)) continue;
-    selected.push(card);
-    usedAnswers.add(answer);
-  }
-
-  for (const card of shuffle(fallback)) {
-    if (selected.length >= count) break;
-    const answer = String(getAnswer(card)).trim();
-    if (usedAnswers.has(answer)) continue;
-    selected.push(card);
-    usedAnswers.add(answer);
-  }
+function clozeAnswer(text, activeIndex) {
+  return [...String(text || "").matchAll(CLOZE_PATTERN)]
+    .filter((match) => Number(match[1]) === activeIndex)
+    .map((match) => match[2].trim())
+    .join(", ");
+}
 
-  return selected;
+function clozeCardId(sourceCardId, index) {
+  return `${sourceCardId}:c${index}`;
 }
 
-function formatPercent(value) {
-  return `${Math.round(value * 100)}%`;
+// Cloze cards are only asked question-first; the blanked sentence cannot be
+// recovered from the missing word.
+function directionForCard(card, direction) {
+  return card.clozeIndex ? "front_to_back" : direction;
 }
 
-async function ensureGoogleIdentityScript() {
-  if (window.google?.accounts?.oauth2) {
-    return;
+function readStatsRow(row, statsColByName, settings) {
+  const stats = createDefaultStats();
+  stats.seenCount = parseNumber(safeCell(row, statsColByName.seen_count));
+  stats.correctCount = parseNumber(safeCell(row, statsColByName.correct_count));
+  stats.wrongCount = parseNumber(safeCell(row, statsColByName.wrong_count));
+  stats.streak = parseNumber(safeCell(row, statsColByName.streak));
+  stats.lastSeenAt = String(safeCell(row, statsColByName.last_seen_at)).trim();
+  stats.lastResult = String(safeCell(row, statsColByName.last_result)).trim();
+  stats.mastery = parseNumber(safeCell(row, statsColByName.mastery));
+  if (stats.mastery <= 0 && stats.seenCount > 0) {
+    stats.mastery = computeMastery(stats, settings);
+  }
+  stats.intervalDays = parseNumber(safeCell(row, statsColByName.interval_days));
+  stats.ease = parseNumber(safeCell(row, statsColByName.ease)) || DEFAULT_EASE;
+  stats.dueAt = String(safeCell(row, statsColByName.due_at)).trim();
+  stats.avgResponseMs = parseNumber(safeCell(row, statsColByName.avg_response_ms));
+  stats.lastResponseMs = parseNumber(safeCell(row, statsColByName.last_response_ms));
+  // A lapse is a miss while the streak was above 0, which older rows cannot
+  // tell apart from early misses, so rows from before the lapses column start
+  // at 0 rather than being flagged as leeches straight away.
+  const lapsesCell = String(safeCell(row, statsColByName.lapses)).trim();
+  stats.lapses = lapsesCell ? parseNumber(lapsesCell) : 0;
+  const cardStatus = String(safeCell(row, statsColByName.card_status)).trim().toLowerCase();
+  stats.cardStatus = CARD_STATUSES.includes(cardStatus) ? cardStatus : "";
+  // Rows buried before `buried_until` existed kept the bury time in `due_at`.
+  stats.buriedUntil =
+    stats.cardStatus === "buried"
+      ? String(safeCell(row, statsColByName.buried_until)).trim() || stats.dueAt
+      : "";
+  if (stats.cardStatus === "buried" && !isCardSetAside(stats)) {
+    stats.cardStatus = "";
+    stats.buriedUntil = "";
+  }
+  for (const [direction, prefix] of Object.entries(DIRECTION_STATS_PREFIXES)) {
+    const directionStats = createDefaultDirectionStats();
+    for (const [field, prop] of Object.entries(DIRECTION_STAT_PROPS)) {
+      directionStats[prop] = parseNumber(safeCell(row, statsColByName[`${prefix}${field}`]));
+    }
+    directionStats.intervalDays = parseNumber(
+      safeCell(row, statsColByName[`${prefix}interval_days`])
+    );
+    directionStats.ease =
+      parseNumber(safeCell(row, statsColByName[`${prefix}ease`])) || DEFAULT_EASE;
+    directionStats.dueAt = String(safeCell(row, statsColByName[`${prefix}due_at`])).trim();
+    if (directionStats.mastery <= 0 && directionStats.seenCount > 0) {
+      directionStats.mastery = computeMastery(directionStats, settings);
+    }
+    stats.directionStats[direction] = directionStats;
   }
+  return stats;
+}
 
-  await new Promise((resolve, reject) => {
-    const existing = document.querySelector('script[data-gis="true"]');
-    if (existing) {
-      existing.addEventListener("load", resolve, { once: true });
-      existing.addEventListener(
+// Pairs Card Data rows with Card Progress rows. Cards are joined by `card_id`
+// first; progress rows without a known ID fall back to the question/answer/
+// pronunciation text match and get the card's ID written back. Rows missing a
+// card ID (or sharing one with an earlier row) are given a fresh one.
+function joinCardsWithStats({
+  deck,
+  cardRows,
+  cardsColByName,
+  statsRows,
+  statsColByName,
+  usedCardIds = new Set(),
+  settings = DEFAULT_DECK_SETTINGS
+}) {
+  const pendingStats = new Map();
+  const cardIdUpdates = [];
+  let migratedScheduleCount = 0;
+  let linkedByTextCount = 0;
+
+  const queuePending = (rowNumber, values) => {
+    const key = pendingKeyFor(deck.statsTitle, rowNumber);
+    pendingStats.set(key, {
+      ...pendingStats.get(key),
+      ...values,
+      statsTitle: deck.statsTitle,
+      rowNumber
+    });
+  };
+
+  const contentRows = [];
+  for (let rowIndex = 1; rowIndex < cardRows.length; rowIndex += 1) {
+    const row = cardRows[rowIndex];
+    const front = String(safeCell(row, cardsColByName.front)).trim();
+    const back = String(safeCell(row, cardsColByName.back)).trim();
+    if (!front && !back) continue;
+
+    const rowNumber = rowIndex + 1;
+    let cardId = String(safeCell(row, cardsColByName.card_id)).trim();
+    if (!cardId || usedCardIds.has(cardId)) {
+      cardId = createCardId();
+      cardIdUpdates.push({ rowNumber, cardId });
+    }
+    usedCardIds.add(cardId);
+
+    // Each cloze number becomes its own card with its own progress row. The
+    // answer column is optional for these rows and shown as extra notes.
+    const indexes = clozeIndexes(front);
+    if (indexes.length === 0) {
+      contentRows.push({ row, rowNumber, cardId, front, back });
+      continue;
+    }
+    for (const clozeIndex of indexes) {
+      const virtualCardId = clozeCardId(cardId, clozeIndex);
+      usedCardIds.add(virtualCardId);
+      contentRows.push({
+        row,
+        rowNumber,
+        cardId: virtualCardId,
+        front: renderClozeQuestion(front, clozeIndex),
+        back: clozeAnswer(front, clozeIndex),
+        cloze: { sourceCardId: cardId, clozeIndex, sourceFront: front, sourceBack: back }
+      });
+    }
+  }
+
+  const statsById = new Map();
+  const statsByTextKey = new Map();
+  const qaStatsCounter = new Map();
+  for (let rowIndex = 1; rowIndex < statsRows.length; rowIndex += 1) {
+    const row = statsRows[rowIndex];
+    const statsFront = String(safeCell(row, statsColByName.front)).trim();
+    const statsBack = String(safeCell(row, statsColByName.back)).trim();
+    const statsRomanization = String(safeCell(row, statsColByName.romanization)).trim();
+    const statsCardId = String(safeCell(row, statsColByName.card_id)).trim();
+    if (!statsFront && !statsBack && !statsCardId) continue;
+
+    const rowNumber = rowIndex + 1;
+    const stats = readStatsRow(row, statsColByName, settings);
+    let seededSchedule = false;
+    if (stats.seenCount > 0 && !stats.dueAt) {
+      Object.assign(stats, seedScheduleFromHistory(stats));
+      seededSchedule = true;
+    }
+    // Directions answered before they had their own schedule columns.
+    for (const directionStats of Object.values(stats.directionStats)) {
+      if (directionStats.seenCount > 0 && !directionStats.dueAt) {
+        Object.assign(
+          directionStats,
+          seedScheduleFromHistory({ ...directionStats, lastSeenAt: stats.lastSeenAt })
+        );
+        seededSchedule = true;
+      }
+    }
+    if (seededSchedule) {
+      queuePending(rowNumber, { ...stats });
+      migratedScheduleCount += 1;
+    }
+
+    const entry = {
+      rowNumber,
+      front: statsFront,
+      back: statsBack,
+      romanization: statsRomanization,
+      ...stats
+    };
+    if (statsCardId && usedCardIds.has(statsCardId)) {
+      if (!statsById.has(statsCardId)) {
+        statsById.set(statsCardId, entry);
+      }
+      continue;
+    }
+
+    const matchKey = nextOccurrenceKey(
+      `qa:${buildQaBaseKey(statsFront, statsBack, statsRomanization)}`,
+      qaStatsCounter
+    );
+    statsByTextKey.set(matchKey, entry);
+  }
+
+  let nextStatsRowNumber = Math.max(2, statsRows.length + 1);
+  const qaCardCounter = new Map();
+  const cards = [];
+  for (const { row, rowNumber, cardId, front, back, cloze } of contentRows) {
+    const romanization = String(safeCell(row, cardsColByName.romanization)).trim();
+
+    let stats = statsById.get(cardId);
+    if (stats) {
+      if (stats.front !== front || stats.back !== back || stats.romanization !== romanization) {
+        queuePending(stats.rowNumber, { ...stats, front, back, romanization });
+      }
+    } else {
+      const matchKey = nextOccurrenceKey(
+        `qa:${buildQaBaseKey(front, back, romanization)}`,
+        qaCardCounter
+      );
+      stats = statsByTextKey.get(matchKey);
+      if (stats) {
+        statsByTextKey.delete(matchKey);
+        queuePending(stats.rowNumber, { ...stats, cardId });
+        linkedByTextCount += 1;
+      }
+    }
+
+    if (!stats) {
+      const baseStats = createDefaultStats();
+      stats = {
+        rowNumber: nextStatsRowNumber,
+        ...baseStats
+      };
+      nextStatsRowNumber += 1;
+      queuePending(stats.rowNumber, {
+        ...baseStats,
+        front,
+        back,
+        romanization,
+        cardId
+      });
+    }
+
+    cards.push({
+      deckName: deck.name,
+      dataTitle: deck.dataTitle,
+      statsTitle: deck.statsTitle,
+      contentRowNumber: rowNumber,
+      statsRowNumber: stats.rowNumber,
+      cardId,
+      front,
+      back,
+      romanization,
+      tags: parseTags(safeCell(row, cardsColByName.tags)),
+      questionExplanation: String(
+        safeCell(row, cardsColByName.question_explanation)
+      ).trim(),
+      answerExplanation: String(
+        safeCell(row, cardsColByName.answer_explanation)
+      ).trim(),
+      questionImage: String(safeCell(row, cardsColByName.question_image)).trim(),
+      answerImage: String(safeCell(row, cardsColByName.answer_image)).trim(),
+      audio: String(safeCell(row, cardsColByName.audio)).trim(),
+      ...cloze,
+      seenCount: stats.seenCount,
+      correctCount: stats.correctCount,
+      wrongCount: stats.wrongCount,
+      streak: stats.streak,
+      lastSeenAt: stats.lastSeenAt,
+      lastResult: stats.lastResult,
+      mastery: stats.mastery,
+      intervalDays: stats.intervalDays,
+      ease: stats.ease,
+      dueAt: stats.dueAt,
+      avgResponseMs: stats.avgResponseMs,
+      lastResponseMs: stats.lastResponseMs,
+      lapses: stats.lapses,
+      cardStatus: stats.cardStatus,
+      buriedUntil: stats.buriedUntil,
+      directionStats: stats.directionStats
+    });
+  }
+
+  return { cards, pendingStats, cardIdUpdates, migratedScheduleCount, linkedByTextCount };
+}
+
+// Validates one deck's tabs and plans the optional headers it still needs.
+// Returns `{ error }` when the deck cannot be loaded.
+function prepareDeckSheets(deck, cardRows, statsRows) {
+  const cardHeaderPlan = planMissingHeaders(
+    deck.dataTitle,
+    cardRows[0],
+    buildAliasedColumnMap(cardRows[0], CARD_COLUMN_ALIASES),
+    ["card_id", ...CARD_MEDIA_HEADERS],
+    CARD_COLUMN_ALIASES
+  );
+  const cardsColByName = cardHeaderPlan.colByName;
+  const requiredCardColumns = ["front", "back"];
+  const missingCardColumns = requiredCardColumns.filter(
+    (name) => !Number.isInteger(cardsColByName[name])
+  );
+  if (missingCardColumns.length > 0) {
+    return {
+      error: `${deck.dataTitle} is missing required columns: ${missingCardColumns.join(", ")}. Click "Initialize Sheet Template".`
+    };
+  }
+
+  const statsHeaderPlan = planMissingHeaders(
+    deck.statsTitle,
+    statsRows[0],
+    buildAliasedColumnMap(statsRows[0], STATS_COLUMN_ALIASES),
+    STATS_APPENDED_FIELDS,
+    STATS_COLUMN_ALIASES
+  );
+  const statsColByName = statsHeaderPlan.colByName;
+  const missingStatsColumns = REQUIRED_STATS_FIELDS.filter(
+    (name) => !Number.isInteger(statsColByName[name])
+  );
+  if (missingStatsColumns.length > 0) {
+    return {
+      error: `${deck.statsTitle} is missing required columns: ${missingStatsColumns.join(", ")}. Click "Initialize Sheet Template".`
+    };
+  }
+  const hasStatsQaColumns =
+    Number.isInteger(statsColByName.front) &&
+    Number.isInteger(statsColByName.back) &&
+    Number.isInteger(statsColByName.romanization);
+  if (!hasStatsQaColumns) {
+    return {
+      error: `${deck.statsTitle} must include question, answer, and pronunciation columns. Click "Initialize Sheet Template".`
+    };
+  }
+
+  return {
+    cardsColByName,
+    statsColByName,
+    headerData: [...statsHeaderPlan.data, ...cardHeaderPlan.data]
+  };
+}
+
+function reviewLogRowValues(entry) {
+  return [
+    entry.timestamp,
+    entry.deck,
+    entry.cardId,
+    entry.question,
+    entry.answer,
+    entry.direction,
+    entry.answerMode,
+    entry.chosen,
+    entry.result,
+    (entry.wrongSelections ?? []).join(" | "),
+    entry.choiceCount,
+    entry.responseMs ?? "",
+    entry.learner ?? ""
+  ];
+}
+
+function templateHeaderRange(sheetTitle, headers) {
+  return {
+    range: makeRange(sheetTitle, `A1:${colIndexToLetter(headers.length - 1)}1`),
+    majorDimension: "ROWS",
+    values: [headers]
+  };
+}
+
+// Gives an existing tab the template's headers without relabelling columns that
+// already hold data: a blank row 1 gets the whole template, otherwise headers
+// the tab lacks are appended after its last column in template order.
+async function addMissingTemplateHeaders(sheetsClient, spreadsheetId, title, headers, aliasesByField) {
+  const headerResponse = await sheetsClient.getValues({
+    spreadsheetId,
+    range: makeRange(title, "1:1")
+  });
+  const headerRow = headerResponse.values?.[0] ?? [];
+  if (!headerRow.some((cell) => String(cell ?? "").trim())) {
+    await sheetsClient.batchUpdate({ spreadsheetId, data: [templateHeaderRange(title, headers)] });
+    return;
+  }
+  const { data } = planMissingHeaders(
+    title,
+    headerRow,
+    buildAliasedColumnMap(headerRow, aliasesByField),
+    templateFields(headers, aliasesByField),
+    aliasesByField
+  );
+  if (data.length > 0) {
+    await sheetsClient.batchUpdate({ spreadsheetId, data });
+  }
+}
+
+// Creates a tab with its header row, safe to repeat after a partial failure:
+// the tab is only added when the spreadsheet lacks it. Header cells missing
+// from the end of row 1 (a new tab, or columns added since it was created) are
+// filled in; existing headers are left alone.
+async function ensureSheetTab(sheetsClient, spreadsheetId, title, headers) {
+  const metadata = await sheetsClient.getSpreadsheet({ spreadsheetId });
+  const hasTab = (metadata.sheets ?? []).some((sheet) => sheet.properties?.title === title);
+  if (!hasTab) {
+    await sheetsClient.spreadsheetBatchUpdate({
+      spreadsheetId,
+      requests: [{ addSheet: { properties: { title } } }]
+    });
+  }
+  const headerResponse = hasTab
+    ? await sheetsClient.getValues({ spreadsheetId, range: makeRange(title, "1:1") })
+    : {};
+  const currentHeaders = headerResponse.values?.[0] ?? [];
+  if (currentHeaders.length >= headers.length) return;
+  await sheetsClient.batchUpdate({
+    spreadsheetId,
+    data: [
+      {
+        range: makeRange(
+          title,
+          `${colIndexToLetter(currentHeaders.length)}1:${colIndexToLetter(headers.length - 1)}1`
+        ),
+        majorDimension: "ROWS",
+        values: [headers.slice(currentHeaders.length)]
+      }
+    ]
+  });
+}
+
+// Re-applies answers that were queued on this device but never reached the
+// sheet. Entries are re-resolved by card ID because progress rows may have moved
+// since they were queued; entries for deleted cards are dropped.
+async function loadPersistedPendingQueue(spreadsheetId, cards) {
+  const pendingStats = new Map();
+  let stored = null;
+  try {
+    stored = await idbGet(APP_DB_STORES.pendingWrites, spreadsheetId);
+  } catch {
+    return { cards, pendingStats, reviewLog: [], replayedCount: 0 };
+  }
+
+  const cardsById = new Map(cards.map((card) => [card.cardId, card]));
+  let replayedCount = 0;
+  for (const entry of stored?.entries ?? []) {
+    const values = entry.values ?? {};
+    const card = cardsById.get(values.cardId);
+    if (!card || values.seenCount == null) continue;
+
+    const queuedSeenAt = parseTimestamp(values.lastSeenAt) ?? 0;
+    const sheetSeenAt = parseTimestamp(card.lastSeenAt) ?? 0;
+    if (queuedSeenAt <= sheetSeenAt) continue;
+
+    const { front, back, romanization, statsTitle, rowNumber, heldBack, ...stats } = values;
+    // Answers queued for another learner's tab on this device are not theirs
+    // to replay here.
+    if (statsTitle && statsTitle !== card.statsTitle && statsTitle !== deckStatsTitle(card.deckName)) {
+      continue;
+    }
+    cardsById.set(card.cardId, { ...card, ...stats });
+    pendingStats.set(pendingKeyFor(card.statsTitle, card.statsRowNumber), {
+      ...stats,
+      cardId: card.cardId,
+      statsTitle: card.statsTitle,
+      rowNumber: card.statsRowNumber
+    });
+    replayedCount += 1;
+  }
+
+  return {
+    cards: cards.map((card) => cardsById.get(card.cardId) ?? card),
+    pendingStats,
+    reviewLog: Array.isArray(stored?.reviewLog) ? stored.reviewLog : [],
+    replayedCount
+  };
+}
+
+// Offline copies keep every queued entry: the copy's cards already include most
+// of them, but none have reached the sheet yet. Entries newer than the copy (the
+// tab closed before it was saved) are applied to its cards.
+function restoreSnapshotQueue(stored, cards) {
+  const cardsById = new Map(cards.map((card) => [card.cardId, card]));
+  const pendingStats = new Map();
+  for (const { key, values } of stored?.entries ?? []) {
+    if (!key || !values) continue;
+    pendingStats.set(key, values);
+    const card = cardsById.get(values.cardId);
+    if (!card || values.seenCount == null) continue;
+    if ((parseTimestamp(values.lastSeenAt) ?? 0) <= (parseTimestamp(card.lastSeenAt) ?? 0)) continue;
+    const { front, back, romanization, statsTitle, rowNumber, heldBack, ...stats } = values;
+    cardsById.set(card.cardId, { ...card, ...stats });
+  }
+  return {
+    cards: cards.map((card) => cardsById.get(card.cardId) ?? card),
+    pendingStats,
+    reviewLog: Array.isArray(stored?.reviewLog) ? stored.reviewLog : []
+  };
+}
+
+function pickWeightedCard(cards, excludeCardId, getMastery = (card) => card.mastery) {
+  const pool =
+    cards.length > 1
+      ? cards.filter((card) => card.cardId !== excludeCardId)
+      : cards;
+
+  if (pool.length === 0) {
+    return null;
+  }
+
+  const weights = pool.map((card) => Math.max(0.05, 1.15 - getMastery(card)));
+  const total = weights.reduce((sum, value) => sum + value, 0);
+  let roll = Math.random() * total;
+
+  for (let i = 0; i < pool.length; i += 1) {
+    roll -= weights[i];
+    if (roll <= 0) {
+      return pool[i];
+    }
+  }
+  return pool[pool.length - 1];
+}
+
+// `getStats` returns the stats for the direction each card will be asked in,
+// so a card is fresh, due or later per direction rather than overall.
+function pickScheduledCard(cards, excludeCardId, getStats, now = Date.now()) {
+  const pool =
+    cards.length > 1
+      ? cards.filter((card) => card.cardId !== excludeCardId)
+      : cards;
+  const { due, fresh, later } = buildStudyQueues(pool, now, getStats);
+
+  if (due.length > 0) return due[0];
+  if (fresh.length > 0) {
+    return pickWeightedCard(fresh, excludeCardId, (card) => getStats(card).mastery);
+  }
+  return later[0] ?? null;
+}
+
+function pickDistractors(target, cards, count, getAnswer) {
+  if (count <= 0) return [];
+
+  const targetAnswer = String(getAnswer(target)).trim();
+
+  // Sibling clozes are skipped: their answers are printed in the question.
+  const fallback = cards.filter(
+    (card) =>
+      card.cardId !== target.cardId &&
+      String(getAnswer(card)).trim() !== targetAnswer &&
+      !(target.clozeIndex && card.sourceCardId === target.sourceCardId)
+  );
+  const sharesTag = (card) => target.tags.some((tag) => card.tags.includes(tag));
+  // A cloze answer is a fragment, so other clozes make closer distractors than
+  // whole answers from regular cards.
+  const tiers = target.clozeIndex
+    ? [
+        fallback.filter((card) => card.clozeIndex && sharesTag(card)),
+        fallback.filter((card) => card.clozeIndex),
+        fallback.filter(sharesTag),
+        fallback
+      ]
+    : [fallback.filter(sharesTag), fallback];
+
+  const selected = [];
+  const usedAnswers = new Set([targetAnswer]);
+  for (const tier of tiers) {
+    for (const card of shuffle(tier)) {
+      if (selected.length >= count) break;
+      const answer = String(getAnswer(card)).trim();
+      if (usedAnswers.has(answer)) continue;
+      selected.push(card);
+      usedAnswers.add(answer);
+    }
+  }
+
+  return selected;
+}
+
+// Folds case, punctuation, whitespace and diacritics. NFKD also splits Hangul
+// syllables into jamo, so edit distance below counts jamo rather than syllables.
+function normalizeTypedAnswer(value) {
+  return String(value ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function editDistance(left, right) {
+  const a = Array.from(left);
+  const b = Array.from(right);
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Returns "correct", "close" (within the confirm band) or "wrong".
+function gradeTypedAnswer(input, expected) {
+  const typed = normalizeTypedAnswer(input);
+  const target = normalizeTypedAnswer(expected);
+  if (!typed || !target) return "wrong";
+  if (typed === target || typed.replace(/ /g, "") === target.replace(/ /g, "")) {
+    return "correct";
+  }
+
+  const length = Math.max(Array.from(typed).length, Array.from(target).length);
+  const closeLimit = Math.max(1, Math.floor(length * TYPED_CLOSE_RATIO));
+  return editDistance(typed, target) <= closeLimit ? "close" : "wrong";
+}
+
+async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  const temp = document.createElement("textarea");
+  temp.value = text;
+  temp.setAttribute("readonly", "true");
+  temp.style.position = "fixed";
+  temp.style.top = "-9999px";
+  document.body.appendChild(temp);
+  temp.select();
+  document.execCommand("copy");
+  document.body.removeChild(temp);
+}
+
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function formatActivity(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : "Never";
+}
+
+function analyzeCardProgress(card) {
+  const seen = Math.max(0, card.seenCount);
+  const correct = Math.max(0, card.correctCount);
+  const wrong = Math.max(0, card.wrongCount);
+  return {
+    ...card,
+    seen,
+    correct,
+    wrong,
+    accuracy: seen > 0 ? correct / seen : 0,
+    masteryValue: clamp(Number(card.mastery) || 0, 0, 1)
+  };
+}
+
+function rankHardestCards(analyzedCards, limit = 8) {
+  return [...analyzedCards]
+    .filter((card) => card.seen > 0 || card.wrong > 0)
+    .sort((a, b) => b.wrong - a.wrong || a.masteryValue - b.masteryValue || b.seen - a.seen)
+    .slice(0, limit);
+}
+
+function rankTopTags(analyzedCards, limit = 6) {
+  const byTag = new Map();
+  for (const card of analyzedCards) {
+    for (const rawTag of card.tags) {
+      const tag = String(rawTag || "").trim();
+      if (!tag) continue;
+      const existing = byTag.get(tag) || {
+        count: 0,
+        wrong: 0,
+        masteryTotal: 0
+      };
+      existing.count += 1;
+      existing.wrong += card.wrong;
+      existing.masteryTotal += card.masteryValue;
+      byTag.set(tag, existing);
+    }
+  }
+
+  return [...byTag.entries()]
+    .map(([tag, value]) => ({
+      tag,
+      count: value.count,
+      wrong: value.wrong,
+      averageMastery: value.count > 0 ? value.masteryTotal / value.count : 0
+    }))
+    .sort((a, b) => b.wrong - a.wrong || a.averageMastery - b.averageMastery)
+    .slice(0, limit);
+}
+
+function latestActivity(entries) {
+  return Math.max(0, ...entries.map((entry) => parseTimestamp(entry.lastSeenAt) ?? 0));
+}
+
+// Reads learner progress tabs against the loaded cards, matched by `card_id`.
+// Class-wide card entries add up every learner's counts and average mastery
+// over all learners, so a card nobody has tried counts as 0%.
+function buildClassProgress(cards, tabs, settingsForDeck) {
+  const cardsById = new Map(cards.map((card) => [card.cardId, card]));
+  const progressByLearner = new Map();
+  for (const tab of tabs) {
+    const [headerRow = [], ...rows] = tab.rows;
+    const colByName = buildAliasedColumnMap(headerRow, STATS_COLUMN_ALIASES);
+    const progress = progressByLearner.get(tab.learner) ?? new Map();
+    progressByLearner.set(tab.learner, progress);
+    if (!Number.isInteger(colByName.card_id)) continue;
+    for (const row of rows) {
+      const card = cardsById.get(String(safeCell(row, colByName.card_id)).trim());
+      if (!card || card.deckName !== tab.deckName || progress.has(card.cardId)) continue;
+      const stats = readStatsRow(row, colByName, settingsForDeck(card.deckName));
+      progress.set(card.cardId, analyzeCardProgress({ ...card, ...stats }));
+    }
+  }
+
+  const learners = [...progressByLearner.entries()]
+    .map(([learner, progress]) => {
+      const entries = [...progress.values()];
+      return {
+        learner,
+        progress,
+        seenCards: entries.filter((entry) => entry.seen > 0).length,
+        totalSeen: entries.reduce((sum, entry) => sum + entry.seen, 0),
+        averageMastery:
+          cards.length === 0
+            ? 0
+            : entries.reduce((sum, entry) => sum + entry.masteryValue, 0) / cards.length,
+        lastActivity: latestActivity(entries)
+      };
+    })
+    .sort((a, b) => a.learner.localeCompare(b.learner));
+
+  const classCards = cards.map((card) => {
+    const entries = learners
+      .map(({ progress }) => progress.get(card.cardId))
+      .filter(Boolean);
+    const seen = entries.reduce((sum, entry) => sum + entry.seen, 0);
+    const correct = entries.reduce((sum, entry) => sum + entry.correct, 0);
+    return {
+      ...card,
+      seen,
+      correct,
+      wrong: entries.reduce((sum, entry) => sum + entry.wrong, 0),
+      accuracy: seen > 0 ? correct / seen : 0,
+      masteryValue:
+        learners.length === 0
+          ? 0
+          : entries.reduce((sum, entry) => sum + entry.masteryValue, 0) / learners.length,
+      learnersSeen: entries.filter((entry) => entry.seen > 0).length,
+      lastActivity: latestActivity(entries)
+    };
+  });
+
+  return { learners, cards: classCards };
+}
+
+async function ensureGoogleIdentityScript() {
+  if (window.google?.accounts?.oauth2) {
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    const existing = document.querySelector('script[data-gis="true"]');
+    if (existing) {
+      existing.addEventListener("load", resolve, { once: true });
+      existing.addEventListener(
         "error",
         () => reject(new Error("Failed to load Google Identity script.")),
         { once: true }
@@ -357,8 +1969,11 @@ async function ensureGoogleIdentityScript() {
     script.defer = true;
     script.dataset.gis = "true";
     script.onload = resolve;
-    script.onerror = () =>
+    // A failed tag is removed so a later call (e.g. back online) can retry.
+    script.onerror = () => {
+      script.remove();
       reject(new Error("Failed to load Google Identity script."));
+    };
     document.head.appendChild(script);
   });
 }
@@ -403,11 +2018,22 @@ async function ensureGooglePickerScript() {
     script.defer = true;
     script.dataset.gapi = "true";
     script.onload = onScriptReady;
-    script.onerror = () => reject(new Error("Failed to load Google API script."));
+    script.onerror = () => {
+      script.remove();
+      reject(new Error("Failed to load Google API script."));
+    };
     document.head.appendChild(script);
   });
 }
 
+// Keeps the HTTP status on the error so callers can recover from 401s.
+async function sheetsResponseError(label, response) {
+  const body = await response.text();
+  const error = new Error(`${label} (${response.status}): ${body}`);
+  error.status = response.status;
+  return error;
+}
+
 async function sheetsGetValues({ spreadsheetId, range, accessToken }) {
   const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${encodeURIComponent(range)}`;
   const response = await fetch(url, {
@@ -417,14 +2043,21 @@ async function sheetsGetValues({ spreadsheetId, range, accessToken }) {
   });
 
   if (!response.ok) {
-    const body = await response.text();
-    throw new Error(`Read failed (${response.status}): ${body}`);
+    throw await sheetsResponseError("Read failed", response);
   }
 
   return response.json();
 }
 
-async function sheetsBatchUpdate({ spreadsheetId, data, accessToken }) {
+// Writes that carry card text pass `valueInputOption: "RAW"` so a question
+// such as `=SUM(A1)`, `1/2` or `007` is stored as typed instead of being parsed
+// into a formula, date or number.
+async function sheetsBatchUpdate({
+  spreadsheetId,
+  data,
+  valueInputOption = "USER_ENTERED",
+  accessToken
+}) {
   const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values:batchUpdate`;
   const response = await fetch(url, {
     method: "POST",
@@ -433,15 +2066,35 @@ async function sheetsBatchUpdate({ spreadsheetId, data, accessToken }) {
       "Content-Type": "application/json"
     },
     body: JSON.stringify({
-      valueInputOption: "USER_ENTERED",
+      valueInputOption,
       data
     })
   });
 
   if (!response.ok) {
-    const body = await response.text();
-    throw new Error(`Write failed (${response.status}): ${body}`);
+    throw await sheetsResponseError("Write failed", response);
+  }
+}
+
+async function fetchGoogleUserEmail({ accessToken }) {
+  const response = await fetch("https://www.googleapis.com/oauth2/v3/userinfo", {
+    headers: {
+      Authorization: `Bearer ${accessToken}`
+    }
+  });
+
+  if (!response.ok) {
+    throw await sheetsResponseError("Account lookup failed", response);
   }
+
+  const profile = await response.json();
+  const email = String(profile.email ?? "").trim().toLowerCase();
+  if (!email) {
+    throw new Error(
+      "Google did not share your email address. Click Reconnect Google on Home and allow it, so your progress gets its own tab."
+    );
+  }
+  return email;
 }
 
 async function sheetsGetSpreadsheet({ spreadsheetId, accessToken }) {
@@ -453,8 +2106,28 @@ async function sheetsGetSpreadsheet({ spreadsheetId, accessToken }) {
   });
 
   if (!response.ok) {
-    const body = await response.text();
-    throw new Error(`Metadata read failed (${response.status}): ${body}`);
+    throw await sheetsResponseError("Metadata read failed", response);
+  }
+
+  return response.json();
+}
+
+async function sheetsAppendValues({ spreadsheetId, range, values, accessToken }) {
+  const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${encodeURIComponent(range)}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`;
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({
+      majorDimension: "ROWS",
+      values
+    })
+  });
+
+  if (!response.ok) {
+    throw await sheetsResponseError("Append failed", response);
   }
 
   return response.json();
@@ -472,8 +2145,7 @@ async function sheetsSpreadsheetBatchUpdate({ spreadsheetId, requests, accessTok
   });
 
   if (!response.ok) {
-    const body = await response.text();
-    throw new Error(`Spreadsheet update failed (${response.status}): ${body}`);
+    throw await sheetsResponseError("Spreadsheet update failed", response);
   }
 }
 
@@ -497,35 +2169,694 @@ async function sheetsCreateSpreadsheet({ title, accessToken }) {
   });
 
   if (!response.ok) {
-    const body = await response.text();
-    throw new Error(`Create sheet failed (${response.status}): ${body}`);
+    throw await sheetsResponseError("Create sheet failed", response);
   }
 
   return response.json();
 }
 
-function buildStatUpdates(sheetTab, colByName, rowNumber, values) {
-  const sheetPrefix = quoteSheetTitle(sheetTab);
+async function driveDownloadFile({ fileId, accessToken }) {
+  const url = `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(fileId)}?alt=media`;
+  const response = await fetch(url, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`
+    }
+  });
 
-  const fields = [];
-  if (values.front != null && Number.isInteger(colByName.front)) {
-    fields.push({ col: colByName.front, value: values.front });
-  }
-  if (values.back != null && Number.isInteger(colByName.back)) {
-    fields.push({ col: colByName.back, value: values.back });
-  }
-  if (values.romanization != null && Number.isInteger(colByName.romanization)) {
-    fields.push({ col: colByName.romanization, value: values.romanization });
+  if (!response.ok) {
+    throw await sheetsResponseError("Media download failed", response);
   }
 
-  const statValueByField = {
-    seen_count: values.seenCount,
-    correct_count: values.correctCount,
-    wrong_count: values.wrongCount,
+  return response.blob();
+}
+
+// What goes in the sheet field for a newly created spreadsheet: its URL, or the
+// bare id for a local sheet, which has no URL.
+function createdSheetRef(created) {
+  if (isLocalSpreadsheetId(created.spreadsheetId)) return created.spreadsheetId;
+  return (
+    created.spreadsheetUrl ||
+    `https://docs.google.com/spreadsheets/d/${created.spreadsheetId}/edit`
+  );
+}
+
+function createLocalSheetId() {
+  const bytes = new Uint8Array(8);
+  window.crypto.getRandomValues(bytes);
+  return `${LOCAL_SPREADSHEET_PREFIX}${Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("")}`;
+}
+
+function trimTrailingEmpty(list, isEmpty) {
+  let end = list.length;
+  while (end > 0 && isEmpty(list[end - 1])) {
+    end -= 1;
+  }
+  return list.slice(0, end);
+}
+
+function trimRowCells(row) {
+  return trimTrailingEmpty(row, (cell) => cell === "");
+}
+
+function writeTabCells(tab, startRow, startCol, values) {
+  values.forEach((rowValues, rowOffset) => {
+    const rowIndex = startRow + rowOffset;
+    while (tab.rows.length <= rowIndex) {
+      tab.rows.push([]);
+    }
+    const row = tab.rows[rowIndex];
+    (rowValues ?? []).forEach((value, colOffset) => {
+      if (value == null) return;
+      const colIndex = startCol + colOffset;
+      while (row.length < colIndex) {
+        row.push("");
+      }
+      row[colIndex] = String(value);
+    });
+  });
+}
+
+// Stores whole spreadsheets in IndexedDB and answers the same calls the app
+// makes against the Sheets API, so local decks load, study and sync through
+// the code paths Google sheets use. Calls run one at a time so a flush and an
+// edit never overwrite each other's copy of the spreadsheet.
+function createLocalSheetsProvider() {
+  let queue = Promise.resolve();
+  const serialize = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+  const readBook = async (spreadsheetId) => {
+    const book = await idbGet(APP_DB_STORES.localSpreadsheets, spreadsheetId);
+    if (!book) {
+      throw new Error("This local sheet is no longer stored on this device.");
+    }
+    return book;
+  };
+  const writeBook = (book) =>
+    idbPut(APP_DB_STORES.localSpreadsheets, book.spreadsheetId, {
+      ...book,
+      updatedAt: new Date().toISOString()
+    });
+  const findTab = (book, title) => {
+    const tab = book.sheets.find((sheet) => sheet.title === title);
+    if (!tab) {
+      // Same wording as the Sheets API so missing-tab handling covers both.
+      throw new Error(`Unable to parse range: ${title}`);
+    }
+    return tab;
+  };
+  const describeBook = (book) => ({
+    spreadsheetId: book.spreadsheetId,
+    spreadsheetUrl: "",
+    properties: { title: book.title },
+    sheets: book.sheets.map((sheet) => ({
+      properties: { sheetId: sheet.sheetId, title: sheet.title }
+    }))
+  });
+
+  return {
+    getValues: ({ spreadsheetId, range }) =>
+      serialize(async () => {
+        const book = await readBook(spreadsheetId);
+        const bounds = parseA1Range(range);
+        const tab = findTab(book, bounds.title);
+        const values = trimTrailingEmpty(
+          tab.rows
+            .slice(bounds.startRow, bounds.endRow + 1)
+            .map((row) => trimRowCells(row.slice(bounds.startCol, bounds.endCol + 1))),
+          (row) => row.length === 0
+        );
+        return values.length > 0
+          ? { range, majorDimension: "ROWS", values }
+          : { range, majorDimension: "ROWS" };
+      }),
+    batchUpdate: ({ spreadsheetId, data }) =>
+      serialize(async () => {
+        const book = await readBook(spreadsheetId);
+        for (const update of data) {
+          const bounds = parseA1Range(update.range);
+          writeTabCells(findTab(book, bounds.title), bounds.startRow, bounds.startCol, update.values);
+        }
+        await writeBook(book);
+      }),
+    appendValues: ({ spreadsheetId, range, values }) =>
+      serialize(async () => {
+        const book = await readBook(spreadsheetId);
+        const bounds = parseA1Range(range);
+        const tab = findTab(book, bounds.title);
+        const startRow = trimTrailingEmpty(
+          tab.rows,
+          (row) => trimRowCells(row).length === 0
+        ).length;
+        writeTabCells(tab, startRow, bounds.startCol, values);
+        await writeBook(book);
+        return {
+          spreadsheetId,
+          updates: {
+            updatedRange: makeRange(tab.title, `${colIndexToLetter(bounds.startCol)}${startRow + 1}`),
+            updatedRows: values.length
+          }
+        };
+      }),
+    getSpreadsheet: ({ spreadsheetId }) =>
+      serialize(async () => describeBook(await readBook(spreadsheetId))),
+    // Supports the two structural requests the app sends: adding a tab and
+    // deleting card rows. The whole batch fails if any request does.
+    spreadsheetBatchUpdate: ({ spreadsheetId, requests }) =>
+      serialize(async () => {
+        const book = await readBook(spreadsheetId);
+        for (const request of requests) {
+          if (request.addSheet) {
+            const title = String(request.addSheet.properties?.title || "").trim();
+            if (!title || book.sheets.some((sheet) => sheet.title === title)) {
+              throw new Error(`A tab named "${title}" already exists in this local sheet.`);
+            }
+            const sheetId = book.sheets.reduce((max, sheet) => Math.max(max, sheet.sheetId), -1) + 1;
+            book.sheets.push({ sheetId, title, rows: [] });
+          } else if (request.deleteDimension?.range?.dimension === "ROWS") {
+            const { sheetId, startIndex, endIndex } = request.deleteDimension.range;
+            const tab = book.sheets.find((sheet) => sheet.sheetId === sheetId);
+            if (!tab) {
+              throw new Error("Local sheet tab was not found.");
+            }
+            tab.rows.splice(startIndex, endIndex - startIndex);
+          } else {
+            throw new Error("Local sheets do not support this change.");
+          }
+        }
+        await writeBook(book);
+      }),
+    createSpreadsheet: ({ title }) =>
+      serialize(async () => {
+        const now = new Date().toISOString();
+        const book = {
+          spreadsheetId: createLocalSheetId(),
+          title,
+          createdAt: now,
+          sheets: [
+            { sheetId: 0, title: CARD_DATA_SHEET, rows: [] },
+            { sheetId: 1, title: CARD_STATS_SHEET, rows: [] }
+          ]
+        };
+        await writeBook(book);
+        return describeBook(book);
+      }),
+    // Returns every tab with its raw rows, for copying a local sheet elsewhere.
+    readAllTabs: ({ spreadsheetId }) =>
+      serialize(async () => {
+        const book = await readBook(spreadsheetId);
+        return book.sheets.map((sheet) => ({ title: sheet.title, rows: sheet.rows }));
+      }),
+    listSpreadsheets: () =>
+      serialize(async () => {
+        const books = await idbGetAll(APP_DB_STORES.localSpreadsheets);
+        return books
+          .map((book) => ({
+            spreadsheetId: book.spreadsheetId,
+            title: book.title,
+            updatedAt: book.updatedAt
+          }))
+          .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+      }),
+    deleteSpreadsheet: ({ spreadsheetId }) =>
+      serialize(() => idbDelete(APP_DB_STORES.localSpreadsheets, spreadsheetId))
+  };
+}
+
+function cardContentValueByField(values) {
+  return {
+    front: values.front,
+    back: values.back,
+    romanization: values.romanization,
+    tags: values.tags?.join(","),
+    question_explanation: values.questionExplanation,
+    answer_explanation: values.answerExplanation,
+    card_id: values.cardId,
+    question_image: values.questionImage,
+    answer_image: values.answerImage,
+    audio: values.audio
+  };
+}
+
+// Cell updates for a Card Data row (or the question/answer/pronunciation
+// copy on a Card Progress row). Fields left undefined are not written.
+function buildCardContentUpdates(sheetTab, colByName, rowNumber, values) {
+  return Object.entries(cardContentValueByField(values))
+    .filter(([field, value]) => value != null && Number.isInteger(colByName[field]))
+    .map(([field, value]) => ({
+      range: makeRange(sheetTab, `${colIndexToLetter(colByName[field])}${rowNumber}`),
+      majorDimension: "ROWS",
+      values: [[value]]
+    }));
+}
+
+// A full Card Data row laid out in the tab's own column order.
+function buildCardDataRow(colByName, values) {
+  const row = [];
+  Object.entries(cardContentValueByField(values)).forEach(([field, value]) => {
+    if (value == null || !Number.isInteger(colByName[field])) return;
+    row[colByName[field]] = value;
+  });
+  return Array.from(row, (value) => value ?? "");
+}
+
+// Returns the body of the first ``` fenced block, or the text unchanged.
+function stripCodeFence(text) {
+  const value = String(text ?? "");
+  const match = value.match(/```[^\n]*\n([\s\S]*?)(?:```|$)/);
+  return match ? match[1] : value;
+}
+
+// Splits pasted TSV or CSV into rows of cells. Text whose first line has a tab
+// is split on tabs only; otherwise it is read as CSV, where double-quoted cells
+// may contain commas, quotes ("") and line breaks.
+function parseDelimitedText(text) {
+  const value = String(text ?? "").replace(/\r\n?/g, "\n");
+  const firstLine = value.split("\n").find((line) => line.trim()) ?? "";
+  if (firstLine.includes("\t")) {
+    return value.split("\n").map((line) => line.split("\t"));
+  }
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  for (let i = 0; i < value.length; i += 1) {
+    const char = value[i];
+    if (inQuotes) {
+      if (char !== '"') {
+        cell += char;
+      } else if (value[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else {
+        inQuotes = false;
+      }
+    } else if (char === '"' && cell === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n") {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows;
+}
+
+// Adds the problems that keep imported rows out of the deck: a missing question
+// or answer (cloze questions need no answer), a repeat within the import, or a
+// card the deck already has.
+function flagImportRows(rows, existingKeys = new Set()) {
+  const importedKeys = new Set();
+  return rows.map((row) => {
+    const errors = [...(row.errors ?? [])];
+    if (!row.values.front) errors.push("missing question");
+    if (!row.values.back && !hasCloze(row.values.front)) errors.push("missing answer");
+    if (errors.length === 0) {
+      const key = buildQaBaseKey(row.values.front, row.values.back, row.values.romanization);
+      if (existingKeys.has(key)) {
+        errors.push("already in deck");
+      } else if (importedKeys.has(key)) {
+        errors.push("duplicate row");
+      }
+      importedKeys.add(key);
+    }
+    return { ...row, errors };
+  });
+}
+
+// Parses pasted cards for the import preview. A first row naming at least the
+// question and answer columns is used as the header; otherwise columns are read
+// in CARD_TEMPLATE_HEADERS order.
+function parseCardImport(text, existingKeys = new Set()) {
+  const records = parseDelimitedText(stripCodeFence(text))
+    .map((cells, index) => ({
+      cells: cells.map((cell) => cell.trim()),
+      rowNumber: index + 1
+    }))
+    .filter(({ cells }) => cells.some(Boolean));
+  if (records.length === 0) {
+    return { hasHeader: false, rows: [] };
+  }
+
+  const headerColByName = buildAliasedColumnMap(records[0].cells, CARD_COLUMN_ALIASES);
+  const hasHeader =
+    Number.isInteger(headerColByName.front) && Number.isInteger(headerColByName.back);
+  const colByName = hasHeader
+    ? headerColByName
+    : buildAliasedColumnMap(CARD_TEMPLATE_HEADERS, CARD_COLUMN_ALIASES);
+  const columnCount = hasHeader ? records[0].cells.length : CARD_TEMPLATE_HEADERS.length;
+
+  const rows = records.slice(hasHeader ? 1 : 0).map(({ cells, rowNumber }) => ({
+    rowNumber,
+    values: {
+      front: safeCell(cells, colByName.front),
+      back: safeCell(cells, colByName.back),
+      romanization: safeCell(cells, colByName.romanization),
+      tags: parseTags(safeCell(cells, colByName.tags)),
+      questionExplanation: safeCell(cells, colByName.question_explanation),
+      answerExplanation: safeCell(cells, colByName.answer_explanation),
+      questionImage: safeCell(cells, colByName.question_image),
+      answerImage: safeCell(cells, colByName.answer_image),
+      audio: safeCell(cells, colByName.audio)
+    },
+    errors: cells.slice(columnCount).some(Boolean)
+      ? [`${cells.length} columns, expected ${columnCount}`]
+      : []
+  }));
+
+  return { hasHeader, rows: flagImportRows(rows, existingKeys) };
+}
+
+// Quizlet's "Export" lets the learner pick the separator between term and
+// definition and the one between cards. Only the first term separator on each
+// card splits it, so definitions may contain the separator themselves.
+function parseQuizletExport(text, termSeparator, rowSeparator) {
+  if (!termSeparator || !rowSeparator) return [];
+  return String(text ?? "")
+    .replace(/\r\n?/g, "\n")
+    .split(rowSeparator)
+    .map((entry, index) => ({ entry, rowNumber: index + 1 }))
+    .filter(({ entry }) => entry.trim())
+    .map(({ entry, rowNumber }) => {
+      const splitAt = entry.indexOf(termSeparator);
+      const term = splitAt >= 0 ? entry.slice(0, splitAt) : entry;
+      const definition = splitAt >= 0 ? entry.slice(splitAt + termSeparator.length) : "";
+      return {
+        rowNumber,
+        values: {
+          front: term.trim(),
+          back: definition.trim(),
+          romanization: "",
+          tags: [],
+          questionExplanation: "",
+          answerExplanation: ""
+        }
+      };
+    });
+}
+
+function htmlToPlainText(html) {
+  const withBreaks = String(html ?? "")
+    .replace(/\[sound:[^\]]*\]/g, " ")
+    .replace(/<br\s*\/?>|<\/(div|p|li)>/gi, " ");
+  const text = new DOMParser().parseFromString(withBreaks, "text/html").body.textContent ?? "";
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// Chooses which Anki note field feeds each card column, by field name first
+// and then by position for whatever question/answer is still unassigned.
+function mapAnkiNoteFields(fieldNames, fields) {
+  const values = {
+    front: "",
+    back: "",
+    romanization: "",
+    tags: [],
+    questionExplanation: "",
+    answerExplanation: ""
+  };
+  const usedIndexes = new Set();
+  Object.entries(ANKI_FIELD_ROLES).forEach(([role, names]) => {
+    const index = fieldNames.findIndex(
+      (name, fieldIndex) =>
+        !usedIndexes.has(fieldIndex) && names.includes(String(name).trim().toLowerCase())
+    );
+    if (index >= 0) {
+      usedIndexes.add(index);
+      values[role] = htmlToPlainText(fields[index]);
+    }
+  });
+  for (const role of ["front", "back"]) {
+    if (values[role] || (role === "back" && hasCloze(values.front))) continue;
+    const index = fields.findIndex(
+      (field, fieldIndex) => !usedIndexes.has(fieldIndex) && htmlToPlainText(field)
+    );
+    if (index >= 0) {
+      usedIndexes.add(index);
+      values[role] = htmlToPlainText(fields[index]);
+    }
+  }
+  return values;
+}
+
+// Reads notes from an Anki .apkg (a zip holding a SQLite collection). sql.js
+// and fflate are only downloaded when an Anki file is actually imported.
+async function readAnkiPackage(file) {
+  const [{ unzipSync }, { default: initSqlJs }] = await Promise.all([
+    import("fflate"),
+    import("sql.js")
+  ]);
+  const entries = unzipSync(new Uint8Array(await file.arrayBuffer()));
+  // Packages in the newest format still carry a collection.anki2, but it only
+  // holds an "update Anki" placeholder note.
+  const isLatestFormat = Boolean(entries["collection.anki21b"]) && !entries["collection.anki21"];
+  const collection = isLatestFormat
+    ? null
+    : entries["collection.anki21"] ?? entries["collection.anki2"];
+  if (!collection) {
+    throw new Error(
+      isLatestFormat
+        ? 'This .apkg uses the newest Anki format. Export it again with "Support older Anki versions" ticked.'
+        : "No Anki collection found in this file."
+    );
+  }
+
+  const SQL = await initSqlJs({ locateFile: () => sqlWasmUrl });
+  const db = new SQL.Database(collection);
+  try {
+    const fieldNamesByModel = new Map();
+    const modelsJson = db.exec("SELECT models FROM col")[0]?.values[0]?.[0];
+    Object.entries(JSON.parse(modelsJson || "{}")).forEach(([id, model]) => {
+      fieldNamesByModel.set(
+        String(id),
+        [...(model.flds ?? [])].sort((a, b) => a.ord - b.ord).map((field) => field.name)
+      );
+    });
+    if (fieldNamesByModel.size === 0) {
+      // Newer collections keep note types in their own tables.
+      try {
+        const fieldRows = db.exec("SELECT ntid, name FROM fields ORDER BY ntid, ord")[0]?.values ?? [];
+        fieldRows.forEach(([noteTypeId, name]) => {
+          const key = String(noteTypeId);
+          fieldNamesByModel.set(key, [...(fieldNamesByModel.get(key) ?? []), name]);
+        });
+      } catch {
+        // no-op
+      }
+    }
+
+    const noteRows = db.exec("SELECT mid, flds, tags FROM notes ORDER BY id")[0]?.values ?? [];
+    return noteRows.map(([modelId, fields, tags], index) => ({
+      rowNumber: index + 1,
+      values: {
+        ...mapAnkiNoteFields(
+          fieldNamesByModel.get(String(modelId)) ?? [],
+          String(fields ?? "").split("\x1f")
+        ),
+        tags: String(tags ?? "").trim().split(/\s+/).filter(Boolean)
+      }
+    }));
+  } finally {
+    db.close();
+  }
+}
+
+// One flat record per card, keyed by the sheet's own header names so exports
+// line up with Card Data / Card Progress.
+function buildExportRecord(card) {
+  const record = {
+    deck: deckLabel(card.deckName),
+    card_id: card.cardId,
+    question: card.front,
+    answer: card.back,
+    pronunciation: card.romanization,
+    tags: card.tags.join(","),
+    question_explanation: card.questionExplanation,
+    answer_explanation: card.answerExplanation,
+    question_image: card.questionImage,
+    answer_image: card.answerImage,
+    audio: card.audio,
+    times_seen: card.seenCount,
+    times_correct: card.correctCount,
+    times_wrong: card.wrongCount,
+    streak: card.streak,
+    last_seen_at: card.lastSeenAt,
+    last_result: card.lastResult,
+    mastery: Number(card.mastery.toFixed(4)),
+    interval_days: card.intervalDays,
+    ease: card.ease,
+    due_at: card.dueAt,
+    avg_response_ms: card.avgResponseMs || "",
+    last_response_ms: card.lastResponseMs || "",
+    lapses: card.lapses,
+    card_status: card.cardStatus,
+    buried_until: card.buriedUntil
+  };
+  for (const [direction, prefix] of Object.entries(DIRECTION_STATS_PREFIXES)) {
+    const directionStats = card.directionStats?.[direction] ?? createDefaultDirectionStats();
+    for (const [field, prop] of Object.entries(DIRECTION_STAT_PROPS)) {
+      const header = `${prefix}${STATS_COLUMN_ALIASES[field][0]}`;
+      const value = directionStats[prop];
+      record[header] = field === "mastery" ? Number(value.toFixed(4)) : value;
+    }
+    for (const [field, prop] of Object.entries(DIRECTION_SCHEDULE_PROPS)) {
+      record[`${prefix}${field}`] = directionStats[prop] ?? "";
+    }
+  }
+  return record;
+}
+
+function toCsvCell(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsvExport(cards) {
+  const records = cards.map(buildExportRecord);
+  const headers = Object.keys(records[0] ?? {});
+  return [headers, ...records.map((record) => headers.map((header) => record[header]))]
+    .map((row) => row.map(toCsvCell).join(","))
+    .join("\r\n");
+}
+
+function buildJsonExport(cards, { spreadsheetId }) {
+  return JSON.stringify(
+    {
+      format: "sheet-cards",
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      spreadsheetId,
+      decks: [...new Set(cards.map((card) => deckLabel(card.deckName)))],
+      cards: cards.map((card) => {
+        const {
+          deck,
+          card_id: cardId,
+          question,
+          answer,
+          pronunciation,
+          tags,
+          question_explanation: questionExplanation,
+          answer_explanation: answerExplanation,
+          question_image: questionImage,
+          answer_image: answerImage,
+          audio,
+          ...progress
+        } = buildExportRecord(card);
+        return {
+          deck,
+          cardId,
+          question,
+          answer,
+          pronunciation,
+          tags: parseTags(tags),
+          questionExplanation,
+          answerExplanation,
+          questionImage,
+          answerImage,
+          audio,
+          progress
+        };
+      })
+    },
+    null,
+    2
+  );
+}
+
+// Tab-separated notes with Anki's file headers, so File > Import picks the
+// deck, tags and field order up without any mapping. Progress is kept in its
+// own field because Anki cannot import review history from text.
+function buildAnkiExport(cards) {
+  const cleanField = (value) => String(value ?? "").replace(/[\t\r\n]+/g, " ").trim();
+  const lines = [
+    "#separator:tab",
+    "#html:false",
+    "#columns:Front\tBack\tPronunciation\tQuestion Explanation\tAnswer Explanation\tProgress\tDeck\tTags",
+    "#deck column:7",
+    "#tags column:8"
+  ];
+  for (const card of cards) {
+    const progress = [
+      `mastery ${formatPercent(clamp(card.mastery, 0, 1))}`,
+      `seen ${card.seenCount}`,
+      `correct ${card.correctCount}`,
+      `wrong ${card.wrongCount}`,
+      `streak ${card.streak}`,
+      card.dueAt ? `due ${card.dueAt}` : ""
+    ]
+      .filter(Boolean)
+      .join(", ");
+    lines.push(
+      [
+        card.front,
+        card.back,
+        card.romanization,
+        card.questionExplanation,
+        card.answerExplanation,
+        progress,
+        `Sheet Cards::${deckLabel(card.deckName)}`,
+        card.tags.map((tag) => tag.replace(/\s+/g, "_")).join(" ")
+      ]
+        .map(cleanField)
+        .join("\t")
+    );
+  }
+  return lines.join("\n");
+}
+
+function downloadTextFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// The Card Progress cells `values` sets, as `{ col, value }` pairs.
+function statFieldValues(colByName, values) {
+  const fields = [];
+  if (values.front != null && Number.isInteger(colByName.front)) {
+    fields.push({ col: colByName.front, value: values.front });
+  }
+  if (values.back != null && Number.isInteger(colByName.back)) {
+    fields.push({ col: colByName.back, value: values.back });
+  }
+  if (values.romanization != null && Number.isInteger(colByName.romanization)) {
+    fields.push({ col: colByName.romanization, value: values.romanization });
+  }
+  if (values.cardId != null && Number.isInteger(colByName.card_id)) {
+    fields.push({ col: colByName.card_id, value: values.cardId });
+  }
+
+  const statValueByField = {
+    seen_count: values.seenCount,
+    correct_count: values.correctCount,
+    wrong_count: values.wrongCount,
     streak: values.streak,
     last_seen_at: values.lastSeenAt,
     last_result: values.lastResult,
-    mastery: Number(values.mastery.toFixed(4))
+    mastery: Number(values.mastery.toFixed(4)),
+    interval_days: values.intervalDays,
+    ease: values.ease,
+    due_at: values.dueAt,
+    avg_response_ms: values.avgResponseMs || "",
+    last_response_ms: values.lastResponseMs || "",
+    lapses: values.lapses,
+    card_status: values.cardStatus,
+    buried_until: values.buriedUntil
   };
 
   for (const field of STAT_FIELDS) {
@@ -534,17 +2865,186 @@ function buildStatUpdates(sheetTab, colByName, rowNumber, values) {
     fields.push({ col, value: statValueByField[field] });
   }
 
-  return fields.map(({ col, value }) => ({
+  for (const [direction, prefix] of Object.entries(DIRECTION_STATS_PREFIXES)) {
+    const directionStats = values.directionStats?.[direction];
+    if (!directionStats) continue;
+    for (const [field, prop] of Object.entries(DIRECTION_STAT_PROPS)) {
+      const col = colByName[`${prefix}${field}`];
+      if (!Number.isInteger(col)) continue;
+      const value = directionStats[prop];
+      fields.push({ col, value: field === "mastery" ? Number(value.toFixed(4)) : value });
+    }
+    for (const [field, prop] of Object.entries(DIRECTION_SCHEDULE_PROPS)) {
+      const col = colByName[`${prefix}${field}`];
+      if (!Number.isInteger(col)) continue;
+      fields.push({ col, value: directionStats[prop] ?? "" });
+    }
+  }
+  return fields;
+}
+
+function buildStatUpdates(sheetTab, colByName, rowNumber, values) {
+  const sheetPrefix = quoteSheetTitle(sheetTab);
+  return statFieldValues(colByName, values).map(({ col, value }) => ({
     range: `${sheetPrefix}!${colIndexToLetter(col)}${rowNumber}`,
     majorDimension: "ROWS",
     values: [[value]]
   }));
 }
 
+// A full Card Progress row laid out in the tab's own column order.
+function buildStatsRow(colByName, values) {
+  const row = [];
+  statFieldValues(colByName, values).forEach(({ col, value }) => {
+    row[col] = value;
+  });
+  return Array.from(row, (value) => value ?? "");
+}
+
+// The 1-based row an `appendValues` call wrote its first row to.
+function appendedRowNumber(response) {
+  const updatedRange = response?.updates?.updatedRange;
+  return updatedRange ? parseA1Range(updatedRange).startRow + 1 : null;
+}
+
+// Row numbers saved at load go stale when rows are inserted, sorted or deleted
+// in the sheet, so card edits find the row again by `card_id` right before
+// writing. Returns null when no row holds that ID any more.
+async function findRowByCardId(sheetsClient, spreadsheetId, sheet, cardId) {
+  const col = sheet.colByName.card_id;
+  if (!Number.isInteger(col)) return null;
+  const letter = colIndexToLetter(col);
+  const response = await sheetsClient.getValues({
+    spreadsheetId,
+    range: makeRange(sheet.title, `${letter}:${letter}`)
+  });
+  const index = (response.values ?? []).findIndex(
+    (row, rowIndex) => rowIndex > 0 && String(row[0] ?? "").trim() === cardId
+  );
+  return index > 0 ? index + 1 : null;
+}
+
+function sheetChangedMessage(card, sheetTitle) {
+  return `${sheetTitle} changed since it was loaded and "${card.sourceFront ?? card.front}" was not found there. Reload cards and try again.`;
+}
+
+// Checks the key columns re-read from a progress tab against the rows the
+// queued updates expect to write. Rows that moved (inserted, deleted or sorted
+// since load) are found again by `card_id`, then by a unique question/answer
+// match; planned new rows that were taken move below the last used row.
+// Updates that cannot be placed come back as conflicts and are not written.
+function reconcileStatsRows({ entries, keyRows, colByName, rowCount, cardsById }) {
+  const blankTextKey = buildQaBaseKey("", "", "");
+  const hasTextColumns = Number.isInteger(colByName.front) && Number.isInteger(colByName.back);
+  const readKey = (row = []) => ({
+    cardId: String(safeCell(row, colByName.card_id)).trim(),
+    textKey: hasTextColumns
+      ? buildQaBaseKey(
+          safeCell(row, colByName.front),
+          safeCell(row, colByName.back),
+          safeCell(row, colByName.romanization)
+        )
+      : blankTextKey
+  });
+  const expectedKey = (values) => {
+    const card = cardsById.get(values.cardId);
+    return {
+      cardId: String(values.cardId || ""),
+      textKey: buildQaBaseKey(
+        values.front ?? card?.front ?? "",
+        values.back ?? card?.back ?? "",
+        values.romanization ?? card?.romanization ?? ""
+      )
+    };
+  };
+
+  const rowByCardId = new Map();
+  const rowsByTextKey = new Map();
+  keyRows.forEach((row, index) => {
+    if (index === 0) return;
+    const { cardId, textKey } = readKey(row);
+    if (cardId) {
+      if (!rowByCardId.has(cardId)) rowByCardId.set(cardId, index + 1);
+      return;
+    }
+    if (textKey === blankTextKey) return;
+    rowsByTextKey.set(textKey, [...(rowsByTextKey.get(textKey) ?? []), index + 1]);
+  });
+
+  const isInPlace = (values, expected) => {
+    const current = readKey(keyRows[values.rowNumber - 1]);
+    if (!current.cardId && current.textKey === blankTextKey) {
+      return values.rowNumber > rowCount;
+    }
+    if (expected.cardId && current.cardId) {
+      return current.cardId === expected.cardId;
+    }
+    return expected.textKey !== blankTextKey && current.textKey === expected.textKey;
+  };
+
+  const placed = [];
+  const unplaced = [];
+  const claimedRows = new Set();
+  for (const [key, values] of entries) {
+    const expected = expectedKey(values);
+    if (isInPlace(values, expected)) {
+      placed.push({ key, values, rowNumber: values.rowNumber });
+      claimedRows.add(values.rowNumber);
+    } else {
+      unplaced.push({ key, values, expected });
+    }
+  }
+
+  const conflicts = [];
+  let nextFreeRow = Math.max(keyRows.length, rowCount) + 1;
+  for (const { key, values, expected } of unplaced) {
+    let rowNumber = expected.cardId ? rowByCardId.get(expected.cardId) : undefined;
+    if (!rowNumber && expected.textKey !== blankTextKey) {
+      const textRows = (rowsByTextKey.get(expected.textKey) ?? []).filter(
+        (candidate) => !claimedRows.has(candidate)
+      );
+      if (textRows.length === 1) rowNumber = textRows[0];
+    }
+    if (!rowNumber && values.rowNumber > rowCount && expected.cardId) {
+      while (claimedRows.has(nextFreeRow)) nextFreeRow += 1;
+      rowNumber = nextFreeRow;
+    }
+    if (!rowNumber || claimedRows.has(rowNumber)) {
+      conflicts.push({ key, values });
+      continue;
+    }
+    placed.push({ key, values, rowNumber });
+    claimedRows.add(rowNumber);
+  }
+
+  for (const { values, rowNumber } of placed) {
+    if (values.cardId) rowByCardId.set(values.cardId, rowNumber);
+  }
+  return {
+    placed,
+    conflicts,
+    movedCount: placed.filter(({ values, rowNumber }) => values.rowNumber !== rowNumber).length,
+    rowByCardId,
+    rowCount: Math.max(keyRows.length, ...placed.map(({ rowNumber }) => rowNumber))
+  };
+}
+
 export default function App() {
+  const [initialRoute] = useState(() => readAppRoute(window.location.hash));
+  // A link naming a sheet is opened once the learner has signed in (or chosen
+  // local study): load it, apply the link's options, then open its stage.
+  const [pendingLink, setPendingLink] = useState(() =>
+    initialRoute.spreadsheetId
+      ? {
+          ...initialRoute,
+          stage: ["", "connect"].includes(initialRoute.stage) ? "study" : initialRoute.stage,
+          phase: "load"
+        }
+      : null
+  );
   const [appStage, setAppStage] = useState("connect");
-  const [sheetRef, setSheetRef] = useState(() =>
-    getStoredValue(STORAGE_KEYS.sheetRef, "")
+  const [sheetRef, setSheetRef] = useState(
+    () => initialRoute.spreadsheetId || getStoredValue(STORAGE_KEYS.sheetRef, "")
   );
   const [recentSheetRefs, setRecentSheetRefs] = useState(() =>
     normalizeRecentSheetRefs(getStoredList(STORAGE_KEYS.recentSheetRefs))
@@ -556,27 +3056,95 @@ export default function App() {
     const date = new Date().toISOString().slice(0, 10);
     return `Sheet Cards ${date}`;
   });
+  const [localMode, setLocalMode] = useState(
+    () => getStoredValue(STORAGE_KEYS.localMode, "") === "true"
+  );
+  const [localSheetList, setLocalSheetList] = useState([]);
+  const [deckSnapshots, setDeckSnapshots] = useState([]);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [roundFilters, setRoundFilters] = useState(() =>
+    normalizeRoundFilters(getStoredObject(STORAGE_KEYS.roundFilters))
+  );
+  // A link's `tag` starts a round on just that tag. It is kept apart from the
+  // saved filters so following a link never overwrites them; setting up a
+  // round by hand drops it.
+  const [linkedRoundFilters, setLinkedRoundFilters] = useState(() =>
+    initialRoute.tag
+      ? normalizeRoundFilters({ ...DEFAULT_ROUND_FILTERS, includeTags: initialRoute.tag })
+      : null
+  );
+  const activeRoundFilters = linkedRoundFilters ?? roundFilters;
+  const [roundPresets, setRoundPresets] = useState(() =>
+    normalizeRoundPresets(getStoredObject(STORAGE_KEYS.roundPresets))
+  );
+  const [roundDraft, setRoundDraft] = useState(null);
+  const [roundPresetName, setRoundPresetName] = useState("");
+  const [roundCardIds, setRoundCardIds] = useState(null);
+  const [settingsRows, setSettingsRows] = useState([]);
+  const [settingsDraft, setSettingsDraft] = useState(null);
+  const [classProgress, setClassProgress] = useState(null);
+  const [classLearner, setClassLearner] = useState("");
+  const [isLoadingClass, setIsLoadingClass] = useState(false);
+  const [isSavingSettings, setIsSavingSettings] = useState(false);
+  const [isPushingSheet, setIsPushingSheet] = useState(false);
+  const [availableDecks, setAvailableDecks] = useState([]);
+  const [selectedDeckNames, setSelectedDeckNames] = useState([""]);
+  const [loadedDeckNames, setLoadedDeckNames] = useState([]);
+  const [newDeckName, setNewDeckName] = useState("");
+  const [cardEditor, setCardEditor] = useState(null);
+  const [isSavingCard, setIsSavingCard] = useState(false);
   const [promptStudyNotes, setPromptStudyNotes] = useState("");
-  const [studyMode, setStudyMode] = useState("front_only");
+  const [importText, setImportText] = useState("");
+  const [importDeckName, setImportDeckName] = useState("");
+  const [isImporting, setIsImporting] = useState(false);
+  const [externalSource, setExternalSource] = useState("anki");
+  const [ankiImport, setAnkiImport] = useState(null);
+  const [quizletText, setQuizletText] = useState("");
+  const [quizletSeparators, setQuizletSeparators] = useState({
+    term: "tab",
+    customTerm: "",
+    row: "newline",
+    customRow: ""
+  });
+  const [externalTarget, setExternalTarget] = useState("existing");
+  const [externalTargetName, setExternalTargetName] = useState("");
+  const [studyMode, setStudyMode] = useState(() => initialRoute.studyMode || "front_only");
   const [showPronunciation, setShowPronunciation] = useState(true);
   const [currentDirection, setCurrentDirection] = useState("front_to_back");
-  const [status, setStatus] = useState(
-    "Connect Google to continue."
+  const [status, setStatus] = useState(() =>
+    initialRoute.spreadsheetId
+      ? "Connect Google to open the linked sheet."
+      : "Connect Google to continue."
   );
   const [sheetLoadErrors, setSheetLoadErrors] = useState({});
   const [gisReady, setGisReady] = useState(false);
   const [pickerReady, setPickerReady] = useState(false);
   const [accessToken, setAccessToken] = useState("");
+  const [learnerEmail, setLearnerEmail] = useState("");
+  const [tokenExpiresAt, setTokenExpiresAt] = useState(0);
   const [cards, setCards] = useState([]);
   const [currentCardId, setCurrentCardId] = useState("");
   const [choices, setChoices] = useState([]);
   const [answerState, setAnswerState] = useState(null);
-  const [autoAdvanceMode, setAutoAdvanceMode] = useState("manual");
-  const [autoAdvanceMs, setAutoAdvanceMs] = useState(1500);
+  const [answerMode, setAnswerMode] = useState("choice");
+  const [typedAnswer, setTypedAnswer] = useState("");
+  const [autoAdvanceMode, setAutoAdvanceMode] = useState(() =>
+    Number.isFinite(initialRoute.advance) ? "delay" : "manual"
+  );
+  const [autoAdvanceMs, setAutoAdvanceMs] = useState(() =>
+    Number.isFinite(initialRoute.advance) ? initialRoute.advance : 1500
+  );
   const [autoReadQuestion, setAutoReadQuestion] = useState(false);
   const [awaitingManualNext, setAwaitingManualNext] = useState(false);
   const [spokenTarget, setSpokenTarget] = useState("");
+  const [mediaUrls, setMediaUrls] = useState({});
+  const [showShortcuts, setShowShortcuts] = useState(false);
   const [pendingWrites, setPendingWrites] = useState(0);
+  const [pendingQueue, setPendingQueue] = useState([]);
+  const [pendingLogCount, setPendingLogCount] = useState(0);
+  const hasPendingSync = pendingWrites > 0 || pendingLogCount > 0;
+  const [flushRetry, setFlushRetry] = useState(null);
+  const [syncConflicts, setSyncConflicts] = useState([]);
   const [sessionAnswers, setSessionAnswers] = useState(0);
   const [sessionCorrect, setSessionCorrect] = useState(0);
   const [sessionWrongCards, setSessionWrongCards] = useState(0);
@@ -585,33 +3153,76 @@ export default function App() {
   const [isFlushing, setIsFlushing] = useState(false);
 
   const tokenClientRef = useRef(null);
+  const accessTokenRef = useRef("");
+  const learnerEmailRef = useRef("");
+  const hasSyncedRouteRef = useRef(false);
+  const tokenExpiresAtRef = useRef(0);
+  const tokenRequestRef = useRef(null);
+  const typedAnswerInputRef = useRef(null);
+  const questionHeadingRef = useRef(null);
+  const nextCardButtonRef = useRef(null);
+  const cardEditorRef = useRef(null);
+  const roundSetupRef = useRef(null);
   const flushInFlightRef = useRef(false);
   const nextAdvanceTimerRef = useRef(null);
   const pendingNextRef = useRef(null);
   const speechSessionRef = useRef(0);
+  const audioPlayerRef = useRef(null);
+  const mediaRequestsRef = useRef(new Map());
+  const mediaUrlsRef = useRef({});
+  const loadMediaUrlRef = useRef(null);
   const pendingStatsRef = useRef(new Map());
+  const pendingReviewLogRef = useRef([]);
+  const attemptRef = useRef({
+    shownAt: 0,
+    firstChoice: "",
+    firstResponseMs: null,
+    wrongSelections: []
+  });
+  const flushPendingRef = useRef(null);
+  const cardsRef = useRef([]);
+  const flushRetryTimerRef = useRef(null);
+  const flushAttemptRef = useRef(0);
   const roundCompletedRef = useRef(new Set());
+  // Card ids picked by the round setup, or null when the round is every card.
+  const roundCardIdsRef = useRef(null);
   const contextRef = useRef({
     spreadsheetId: "",
-    statsSheet: {
-      title: CARD_STATS_SHEET,
-      colByName: {}
-    }
+    dataSheets: {},
+    statsSheets: {},
+    reviewLogReady: false,
+    hasSettings: false,
+    learner: ""
   });
 
   const currentCard = useMemo(
     () => cards.find((card) => card.cardId === currentCardId) ?? null,
     [cards, currentCardId]
   );
+  const deckSettingsByName = useMemo(
+    () =>
+      Object.fromEntries(
+        loadedDeckNames.map((name) => [name, resolveDeckSettings(settingsRows, name)])
+      ),
+    [loadedDeckNames, settingsRows]
+  );
+  const settingsForDeck = useCallback(
+    (deckName) => deckSettingsByName[deckName] ?? resolveDeckSettings(settingsRows, deckName),
+    [deckSettingsByName, settingsRows]
+  );
 
   const sessionAccuracy = useMemo(() => {
     if (sessionAnswers === 0) return "0%";
     return formatPercent(sessionCorrect / sessionAnswers);
   }, [sessionAnswers, sessionCorrect]);
+  const roundTotal = useMemo(
+    () => studyableRoundCards(cards, roundCardIds).length,
+    [cards, roundCardIds]
+  );
   const roundProgress = useMemo(() => {
     if (cards.length === 0) return "0 / 0";
-    return `${roundCompletedCount} / ${cards.length}`;
-  }, [cards.length, roundCompletedCount]);
+    return `${roundCompletedCount} / ${roundTotal}`;
+  }, [cards.length, roundCompletedCount, roundTotal]);
   const tapAccuracy = useMemo(() => {
     const totalSelections = sessionAnswers + sessionWrongSelections;
     if (totalSelections === 0) return "0%";
@@ -631,23 +3242,27 @@ export default function App() {
     if (!missed || missed.wrongCount === 0) return "-";
     return `${missed.front} (${missed.wrongCount})`;
   }, [cards]);
-  const analyzedCards = useMemo(
+  const dueNowCount = useMemo(
+    () => buildStudyQueues(cards, Date.now(), (card) => modeStatsFor(card, studyMode)).due.length,
+    [cards, studyMode]
+  );
+  const isRoundFiltered = hasRoundFilters(activeRoundFilters);
+  const nextRoundCount = useMemo(
+    () => selectRoundCards(cards, activeRoundFilters, studyMode).length,
+    [cards, activeRoundFilters, studyMode]
+  );
+  const roundDraftCount = useMemo(
     () =>
-      cards.map((card) => {
-        const seen = Math.max(0, card.seenCount);
-        const correct = Math.max(0, card.correctCount);
-        const wrong = Math.max(0, card.wrongCount);
-        return {
-          ...card,
-          seen,
-          correct,
-          wrong,
-          accuracy: seen > 0 ? correct / seen : 0,
-          masteryValue: clamp(Number(card.mastery) || 0, 0, 1)
-        };
-      }),
+      roundDraft
+        ? selectRoundCards(cards, normalizeRoundFilters(roundDraft), studyMode).length
+        : 0,
+    [cards, roundDraft, studyMode]
+  );
+  const loadedTags = useMemo(
+    () => [...new Set(cards.flatMap((card) => card.tags))].sort((a, b) => a.localeCompare(b)),
     [cards]
   );
+  const analyzedCards = useMemo(() => cards.map(analyzeCardProgress), [cards]);
   const statsOverview = useMemo(() => {
     const totalSeen = analyzedCards.reduce((sum, card) => sum + card.seen, 0);
     const totalCorrect = analyzedCards.reduce((sum, card) => sum + card.correct, 0);
@@ -667,19 +3282,21 @@ export default function App() {
       averageMastery
     };
   }, [analyzedCards]);
-  const hardestCards = useMemo(
+  const leechCards = useMemo(
     () =>
-      [...analyzedCards]
-        .filter((card) => card.seen > 0 || card.wrong > 0)
-        .sort(
-          (a, b) =>
-            b.wrong - a.wrong ||
-            a.masteryValue - b.masteryValue ||
-            b.seen - a.seen
-        )
-        .slice(0, 8),
-    [analyzedCards]
+      cards
+        .filter((card) => isLeech(card, settingsForDeck(card.deckName)) && !isCardSetAside(card))
+        .sort((a, b) => b.lapses - a.lapses || a.mastery - b.mastery),
+    [cards, settingsForDeck]
+  );
+  const setAsideCards = useMemo(
+    () =>
+      cards
+        .filter((card) => isCardSetAside(card))
+        .sort((a, b) => a.cardStatus.localeCompare(b.cardStatus) || a.front.localeCompare(b.front)),
+    [cards]
   );
+  const hardestCards = useMemo(() => rankHardestCards(analyzedCards), [analyzedCards]);
   const strongestCards = useMemo(
     () =>
       [...analyzedCards]
@@ -693,6 +3310,14 @@ export default function App() {
         .slice(0, 8),
     [analyzedCards]
   );
+  const slowestCards = useMemo(
+    () =>
+      [...analyzedCards]
+        .filter((card) => card.avgResponseMs > 0)
+        .sort((a, b) => b.avgResponseMs - a.avgResponseMs || b.lastResponseMs - a.lastResponseMs)
+        .slice(0, 8),
+    [analyzedCards]
+  );
   const mostSeenCards = useMemo(
     () =>
       [...analyzedCards]
@@ -720,38 +3345,15 @@ export default function App() {
 
     return buckets;
   }, [analyzedCards]);
-  const topTags = useMemo(() => {
-    const byTag = new Map();
-    for (const card of analyzedCards) {
-      for (const rawTag of card.tags) {
-        const tag = String(rawTag || "").trim();
-        if (!tag) continue;
-        const existing = byTag.get(tag) || {
-          count: 0,
-          wrong: 0,
-          masteryTotal: 0
-        };
-        existing.count += 1;
-        existing.wrong += card.wrong;
-        existing.masteryTotal += card.masteryValue;
-        byTag.set(tag, existing);
-      }
-    }
-
-    return [...byTag.entries()]
-      .map(([tag, value]) => ({
-        tag,
-        count: value.count,
-        wrong: value.wrong,
-        averageMastery: value.count > 0 ? value.masteryTotal / value.count : 0
-      }))
-      .sort((a, b) => b.wrong - a.wrong || a.averageMastery - b.averageMastery)
-      .slice(0, 6);
-  }, [analyzedCards]);
+  const topTags = useMemo(() => rankTopTags(analyzedCards), [analyzedCards]);
   const hardestMaxWrong = useMemo(
     () => Math.max(1, ...hardestCards.map((card) => card.wrong)),
     [hardestCards]
   );
+  const slowestMaxMs = useMemo(
+    () => Math.max(1, ...slowestCards.map((card) => card.avgResponseMs)),
+    [slowestCards]
+  );
   const strongestMaxMastery = useMemo(
     () => Math.max(1, ...strongestCards.map((card) => card.masteryValue)),
     [strongestCards]
@@ -768,6 +3370,23 @@ export default function App() {
     () => Math.max(1, ...topTags.map((tag) => tag.wrong)),
     [topTags]
   );
+  const classHardestCards = useMemo(
+    () => rankHardestCards(classProgress?.cards ?? []),
+    [classProgress]
+  );
+  const classTopTags = useMemo(() => rankTopTags(classProgress?.cards ?? []), [classProgress]);
+  const classHardestMaxWrong = useMemo(
+    () => Math.max(1, ...classHardestCards.map((card) => card.wrong)),
+    [classHardestCards]
+  );
+  const classTopTagWrongMax = useMemo(
+    () => Math.max(1, ...classTopTags.map((tag) => tag.wrong)),
+    [classTopTags]
+  );
+  const classLearnerProgress = useMemo(
+    () => classProgress?.learners.find((entry) => entry.learner === classLearner) ?? null,
+    [classLearner, classProgress]
+  );
 
   const spreadsheetId = useMemo(() => parseSpreadsheetId(sheetRef), [sheetRef]);
   const spreadsheetEditUrl = useMemo(() => {
@@ -775,7 +3394,7 @@ export default function App() {
     if (/^https:\/\/docs\.google\.com\/spreadsheets\/d\//i.test(raw)) {
       return raw;
     }
-    if (!spreadsheetId) return "";
+    if (!spreadsheetId || isLocalSpreadsheetId(spreadsheetId)) return "";
     return `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`;
   }, [sheetRef, spreadsheetId]);
   const csvPromptText = useMemo(() => {
@@ -798,6 +3417,40 @@ export default function App() {
       userMaterial
     ].join("\n");
   }, [promptStudyNotes]);
+  const importDeck =
+    availableDecks.find((deck) => deck.name === importDeckName) ?? availableDecks[0] ?? null;
+  const importDeckKeys = useMemo(
+    () =>
+      new Set(
+        cards
+          .filter((card) => card.deckName === importDeck?.name)
+          .map((card) =>
+            buildQaBaseKey(card.sourceFront ?? card.front, card.sourceBack ?? card.back, card.romanization)
+          )
+      ),
+    [cards, importDeck]
+  );
+  const importPreview = useMemo(
+    () => parseCardImport(importText, importDeckKeys),
+    [importDeckKeys, importText]
+  );
+  const importValidCount = importPreview.rows.filter((row) => row.errors.length === 0).length;
+  const externalPreviewRows = useMemo(() => {
+    const rows =
+      externalSource === "anki"
+        ? ankiImport?.rows ?? []
+        : parseQuizletExport(
+            quizletText,
+            quizletSeparators.term === "custom"
+              ? quizletSeparators.customTerm
+              : QUIZLET_SEPARATORS.term[quizletSeparators.term],
+            quizletSeparators.row === "custom"
+              ? quizletSeparators.customRow
+              : QUIZLET_SEPARATORS.row[quizletSeparators.row]
+          );
+    return flagImportRows(rows, externalTarget === "existing" ? importDeckKeys : new Set());
+  }, [ankiImport, externalSource, externalTarget, importDeckKeys, quizletSeparators, quizletText]);
+  const externalValidCount = externalPreviewRows.filter((row) => row.errors.length === 0).length;
   const clientId = DEFAULT_CLIENT_ID.trim();
   const googleApiKey = DEFAULT_GOOGLE_API_KEY.trim();
   const googleCloudProjectNumber = DEFAULT_GOOGLE_CLOUD_PROJECT_NUMBER.trim();
@@ -821,16 +3474,34 @@ export default function App() {
   const answerExplanationFor = useCallback(
     (card, direction) =>
       direction === "front_to_back"
-        ? card.answerExplanation
+        ? [card.sourceBack, card.answerExplanation].filter(Boolean).join(" ")
         : card.questionExplanation,
     []
   );
-  const resolveDirection = useCallback(() => {
-    if (studyMode === "front_only") return "front_to_back";
-    if (studyMode === "back_only") return "back_to_front";
-    return Math.random() < 0.5 ? "front_to_back" : "back_to_front";
-  }, [studyMode]);
-  const speechSupported = useMemo(
+  const promptImageFor = useCallback(
+    (card, direction) => (direction === "front_to_back" ? card.questionImage : card.answerImage),
+    []
+  );
+  const answerImageFor = useCallback(
+    (card, direction) => (direction === "front_to_back" ? card.answerImage : card.questionImage),
+    []
+  );
+  // The audio column records the front of the card, so it stands in for
+  // whichever side shows the front in the current direction.
+  const promptAudioFor = useCallback(
+    (card, direction) => (direction === "front_to_back" ? card.audio : ""),
+    []
+  );
+  const answerAudioFor = useCallback(
+    (card, direction) => (direction === "front_to_back" ? "" : card.audio),
+    []
+  );
+  const resolveDirection = useCallback(() => {
+    if (studyMode === "front_only") return "front_to_back";
+    if (studyMode === "back_only") return "back_to_front";
+    return Math.random() < 0.5 ? "front_to_back" : "back_to_front";
+  }, [studyMode]);
+  const speechSupported = useMemo(
     () =>
       typeof window !== "undefined" &&
       "speechSynthesis" in window &&
@@ -839,9 +3510,14 @@ export default function App() {
   );
 
   const stopNarration = useCallback(() => {
-    if (!speechSupported) return;
     speechSessionRef.current += 1;
-    window.speechSynthesis.cancel();
+    if (audioPlayerRef.current) {
+      audioPlayerRef.current.pause();
+      audioPlayerRef.current = null;
+    }
+    if (speechSupported) {
+      window.speechSynthesis.cancel();
+    }
     setSpokenTarget("");
   }, [speechSupported]);
 
@@ -862,21 +3538,23 @@ export default function App() {
     [speechSupported]
   );
 
+  // Entries with an audio cell play that clip instead of being read aloud; if
+  // the clip cannot be loaded or played, the text is spoken as before.
   const speakSequence = useCallback(
     (items) => {
-      if (!speechSupported) {
-        setStatus("Narration is not supported in this browser.");
-        return;
-      }
-
       const entries = (items ?? [])
         .map((item) => ({
           target: item.target,
-          text: String(item.text ?? "").trim()
+          text: String(item.text ?? "").trim(),
+          audio: String(item.audio ?? "").trim()
         }))
-        .filter((item) => item.text.length > 0);
+        .filter((item) => item.text.length > 0 || item.audio.length > 0);
 
       if (entries.length === 0) return;
+      if (!speechSupported && entries.some((entry) => !entry.audio)) {
+        setStatus("Narration is not supported in this browser.");
+        return;
+      }
 
       stopNarration();
       const sessionId = speechSessionRef.current + 1;
@@ -891,14 +3569,52 @@ export default function App() {
 
         const entry = entries[index];
         setSpokenTarget(entry.target);
-        const utterance = new window.SpeechSynthesisUtterance(entry.text);
-        utterance.lang = /[\uAC00-\uD7A3]/.test(entry.text) ? "ko-KR" : "en-US";
-        utterance.rate = 0.95;
-        utterance.onend = () => speakAt(index + 1);
-        utterance.onerror = () => {
-          setSpokenTarget("");
+
+        const speakEntryText = () => {
+          if (speechSessionRef.current !== sessionId) return;
+          if (!entry.text || !speechSupported) {
+            speakAt(index + 1);
+            return;
+          }
+          const utterance = new window.SpeechSynthesisUtterance(entry.text);
+          utterance.lang = /[\uAC00-\uD7A3]/.test(entry.text) ? "ko-KR" : "en-US";
+          utterance.rate = 0.95;
+          utterance.onend = () => speakAt(index + 1);
+          utterance.onerror = () => {
+            setSpokenTarget("");
+          };
+          window.speechSynthesis.speak(utterance);
+        };
+
+        if (!entry.audio) {
+          speakEntryText();
+          return;
+        }
+
+        let fellBack = false;
+        const fallBack = () => {
+          if (fellBack) return;
+          fellBack = true;
+          audioPlayerRef.current = null;
+          speakEntryText();
         };
-        window.speechSynthesis.speak(utterance);
+        Promise.resolve(loadMediaUrlRef.current?.(entry.audio))
+          .then((url) => {
+            if (speechSessionRef.current !== sessionId) return;
+            if (!url) {
+              fallBack();
+              return;
+            }
+            const player = new Audio(url);
+            audioPlayerRef.current = player;
+            player.onended = () => {
+              audioPlayerRef.current = null;
+              speakAt(index + 1);
+            };
+            player.onerror = fallBack;
+            return player.play();
+          })
+          .catch(fallBack);
       };
 
       speakAt(0);
@@ -915,26 +3631,385 @@ export default function App() {
     setAwaitingManualNext(false);
   }, []);
 
+  const applyTokenResponse = useCallback((tokenResponse) => {
+    const request = tokenRequestRef.current;
+    tokenRequestRef.current = null;
+    if (tokenResponse.error) {
+      if (request) {
+        request.reject(new Error(`Auth error: ${tokenResponse.error}`));
+      } else {
+        setStatus(`Auth error: ${tokenResponse.error}`);
+      }
+      return;
+    }
+
+    const expiresAt = Date.now() + parseNumber(tokenResponse.expires_in || 3600) * 1000;
+    accessTokenRef.current = tokenResponse.access_token;
+    tokenExpiresAtRef.current = expiresAt;
+    setAccessToken(tokenResponse.access_token);
+    setTokenExpiresAt(expiresAt);
+    if (request) {
+      request.resolve(tokenResponse.access_token);
+      return;
+    }
+    setAppStage("sheet");
+    setStatus("Connected to Google. Next: pick or load a sheet.");
+  }, []);
+
+  const applyTokenError = useCallback((error) => {
+    const request = tokenRequestRef.current;
+    tokenRequestRef.current = null;
+    const message = `Google sign-in did not complete (${error?.type || "unknown"}).`;
+    if (request) {
+      request.reject(new Error(message));
+      return;
+    }
+    setStatus(message);
+  }, []);
+
+  // Asks Google for a fresh token without the consent screen. Concurrent callers
+  // share one request.
+  const requestAccessTokenSilently = useCallback(() => {
+    if (tokenRequestRef.current) {
+      return tokenRequestRef.current.promise;
+    }
+    if (!tokenClientRef.current) {
+      return Promise.reject(new Error("Google session expired. Click Reconnect Google."));
+    }
+
+    const request = {};
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+    tokenRequestRef.current = request;
+    const timeoutId = window.setTimeout(() => {
+      if (tokenRequestRef.current === request) {
+        tokenRequestRef.current = null;
+        request.reject(new Error("Google token refresh timed out."));
+      }
+    }, TOKEN_REQUEST_TIMEOUT_MS);
+    request.promise.then(
+      () => window.clearTimeout(timeoutId),
+      () => window.clearTimeout(timeoutId)
+    );
+
+    try {
+      tokenClientRef.current.requestAccessToken({ prompt: "" });
+    } catch (error) {
+      tokenRequestRef.current = null;
+      request.reject(error);
+    }
+    return request.promise;
+  }, []);
+
+  // Runs a Sheets request with the current token, refreshing it first when it
+  // is about to lapse and retrying once after re-auth if Google answers 401.
+  const callSheets = useCallback(
+    async (request) => {
+      let token = accessTokenRef.current;
+      if (token && Date.now() > tokenExpiresAtRef.current - TOKEN_REFRESH_MARGIN_MS) {
+        token = await requestAccessTokenSilently().catch(() => token);
+      }
+
+      try {
+        return await request(token);
+      } catch (error) {
+        if (error.status !== 401) {
+          throw error;
+        }
+        let freshToken;
+        try {
+          freshToken = await requestAccessTokenSilently();
+        } catch {
+          throw new Error(
+            "Google session expired. Click Reconnect Google on Home; unsynced answers stay saved on this device."
+          );
+        }
+        return request(freshToken);
+      }
+    },
+    [requestAccessTokenSilently]
+  );
+
+  const googleSheets = useMemo(
+    () => ({
+      getValues: (args) =>
+        callSheets((token) => sheetsGetValues({ ...args, accessToken: token })),
+      batchUpdate: (args) =>
+        callSheets((token) => sheetsBatchUpdate({ ...args, accessToken: token })),
+      appendValues: (args) =>
+        callSheets((token) => sheetsAppendValues({ ...args, accessToken: token })),
+      getSpreadsheet: (args) =>
+        callSheets((token) => sheetsGetSpreadsheet({ ...args, accessToken: token })),
+      spreadsheetBatchUpdate: (args) =>
+        callSheets((token) => sheetsSpreadsheetBatchUpdate({ ...args, accessToken: token })),
+      createSpreadsheet: (args) =>
+        callSheets((token) => sheetsCreateSpreadsheet({ ...args, accessToken: token }))
+    }),
+    [callSheets]
+  );
+  // Resolves a media cell to something an <img>/<audio> can play. Plain URLs are
+  // used as-is; Drive files are downloaded with the Google token once, kept in
+  // IndexedDB and served from an object URL afterwards.
+  const loadMediaUrl = useCallback(
+    (value) => {
+      const source = parseMediaSource(value);
+      if (!source) return Promise.resolve("");
+      if (source.kind === "url") return Promise.resolve(source.url);
+
+      const inFlight = mediaRequestsRef.current.get(source.key);
+      if (inFlight) return inFlight;
+
+      const request = (async () => {
+        let blob = await idbGet(APP_DB_STORES.mediaCache, source.fileId).catch(() => null);
+        if (!blob) {
+          if (!accessTokenRef.current) {
+            throw new Error("Connect Google to load media stored in Drive.");
+          }
+          try {
+            blob = await callSheets((token) =>
+              driveDownloadFile({ fileId: source.fileId, accessToken: token })
+            );
+          } catch (error) {
+            // `drive.file` only reaches files this app created or that were
+            // chosen through the Picker.
+            if (error.status === 403 || error.status === 404) {
+              throw new Error(
+                "This Drive file has not been opened with the app. Choose it with Pick ... From Drive in Edit Card, or use a public URL."
+              );
+            }
+            throw error;
+          }
+          await idbPut(APP_DB_STORES.mediaCache, source.fileId, blob).catch(() => {
+            // no-op
+          });
+        }
+        const url = URL.createObjectURL(blob);
+        mediaUrlsRef.current = { ...mediaUrlsRef.current, [source.key]: url };
+        setMediaUrls(mediaUrlsRef.current);
+        return url;
+      })();
+      mediaRequestsRef.current.set(source.key, request);
+      request.catch(() => {
+        mediaRequestsRef.current.delete(source.key);
+      });
+      return request;
+    },
+    [callSheets]
+  );
+
+  // Frees the object URLs made for Drive media once their sheet is closed.
+  const releaseMediaUrls = useCallback(() => {
+    for (const url of Object.values(mediaUrlsRef.current)) {
+      URL.revokeObjectURL(url);
+    }
+    mediaUrlsRef.current = {};
+    mediaRequestsRef.current.clear();
+    setMediaUrls({});
+  }, []);
+
+  // The signed-in account's email, looked up once per sign-in. It names the
+  // learner's own progress tabs.
+  const resolveLearner = useCallback(async () => {
+    if (learnerEmailRef.current) return learnerEmailRef.current;
+    const email = await callSheets((token) => fetchGoogleUserEmail({ accessToken: token }));
+    learnerEmailRef.current = email;
+    setLearnerEmail(email);
+    return email;
+  }, [callSheets]);
+
+  const localSheets = useMemo(() => createLocalSheetsProvider(), []);
+
+  // Every sheet call goes through here; local spreadsheet ids are served from
+  // IndexedDB and everything else from the Google Sheets API.
+  const sheetsClient = useMemo(() => {
+    const route = (method) => (args) =>
+      (isLocalSpreadsheetId(args.spreadsheetId) ? localSheets : googleSheets)[method](args);
+    return {
+      getValues: route("getValues"),
+      batchUpdate: route("batchUpdate"),
+      appendValues: route("appendValues"),
+      getSpreadsheet: route("getSpreadsheet"),
+      spreadsheetBatchUpdate: route("spreadsheetBatchUpdate"),
+      createSpreadsheet: ({ local = false, ...args }) =>
+        (local ? localSheets : googleSheets).createSpreadsheet(args)
+    };
+  }, [googleSheets, localSheets]);
+
+  const refreshLocalSheets = useCallback(async () => {
+    try {
+      setLocalSheetList(await localSheets.listSpreadsheets());
+    } catch {
+      setLocalSheetList([]);
+    }
+  }, [localSheets]);
+
+  useEffect(() => {
+    refreshLocalSheets();
+  }, [refreshLocalSheets]);
+
+  const refreshDeckSnapshots = useCallback(async () => {
+    try {
+      const snapshots = await idbGetAll(APP_DB_STORES.deckSnapshots);
+      setDeckSnapshots(
+        snapshots
+          .map(({ spreadsheetId, title, savedAt, cards }) => ({
+            spreadsheetId,
+            title,
+            savedAt,
+            cardCount: cards?.length ?? 0
+          }))
+          .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)))
+      );
+    } catch {
+      setDeckSnapshots([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshDeckSnapshots();
+  }, [refreshDeckSnapshots]);
+
+  // Keeps an offline copy of each recent Google sheet's loaded cards and
+  // progress, refreshed as answers change them. Copies of sheets that drop off
+  // the recent list are removed.
+  useEffect(() => {
+    const { spreadsheetId: loadedSpreadsheetId } = contextRef.current;
+    if (cards.length === 0 || !loadedSpreadsheetId || isLocalSpreadsheetId(loadedSpreadsheetId)) {
+      return;
+    }
+
+    const timerId = window.setTimeout(async () => {
+      try {
+        await idbPut(APP_DB_STORES.deckSnapshots, loadedSpreadsheetId, {
+          spreadsheetId: loadedSpreadsheetId,
+          title: recentSheetNames[loadedSpreadsheetId] || loadedSpreadsheetId,
+          savedAt: new Date().toISOString(),
+          cards,
+          loadedDeckNames,
+          settingsRows,
+          context: contextRef.current
+        });
+        const snapshots = await idbGetAll(APP_DB_STORES.deckSnapshots);
+        for (const { spreadsheetId: snapshotId } of snapshots) {
+          if (snapshotId !== loadedSpreadsheetId && !recentSheetRefs.includes(snapshotId)) {
+            await idbDelete(APP_DB_STORES.deckSnapshots, snapshotId);
+          }
+        }
+        await refreshDeckSnapshots();
+      } catch {
+        // no-op
+      }
+    }, SNAPSHOT_SAVE_DELAY_MS);
+    return () => window.clearTimeout(timerId);
+  }, [cards, loadedDeckNames, recentSheetNames, recentSheetRefs, refreshDeckSnapshots, settingsRows]);
+
+  // Mirrors the in-memory queue into IndexedDB so unsynced answers survive a
+  // closed tab, lost connection or expired token.
+  const persistPendingQueue = useCallback(async () => {
+    const { spreadsheetId } = contextRef.current;
+    if (!spreadsheetId) return;
+    const entries = [...pendingStatsRef.current.entries()].map(([key, values]) => ({
+      key,
+      values
+    }));
+    const reviewLog = pendingReviewLogRef.current;
+    try {
+      if (entries.length === 0 && reviewLog.length === 0) {
+        await idbDelete(APP_DB_STORES.pendingWrites, spreadsheetId);
+        return;
+      }
+      await idbPut(APP_DB_STORES.pendingWrites, spreadsheetId, {
+        spreadsheetId,
+        entries,
+        reviewLog,
+        updatedAt: new Date().toISOString()
+      });
+    } catch {
+      // Storage may be unavailable (private mode); the in-memory queue still works.
+    }
+  }, []);
+
   const refreshPendingCount = useCallback(() => {
     setPendingWrites(pendingStatsRef.current.size);
+    setPendingLogCount(pendingReviewLogRef.current.length);
+    setPendingQueue(
+      [...pendingStatsRef.current.entries()].map(([key, values]) => ({
+        key,
+        ...values
+      }))
+    );
+    persistPendingQueue();
+  }, [persistPendingQueue]);
+
+  const clearFlushRetry = useCallback(() => {
+    if (flushRetryTimerRef.current) {
+      window.clearTimeout(flushRetryTimerRef.current);
+      flushRetryTimerRef.current = null;
+    }
+    flushAttemptRef.current = 0;
+    setFlushRetry(null);
+  }, []);
+
+  const scheduleFlushRetry = useCallback((message) => {
+    if (flushRetryTimerRef.current) {
+      window.clearTimeout(flushRetryTimerRef.current);
+    }
+    flushAttemptRef.current += 1;
+    const delay = flushRetryDelay(flushAttemptRef.current);
+    setFlushRetry({
+      attempt: flushAttemptRef.current,
+      nextAt: Date.now() + delay,
+      message
+    });
+    flushRetryTimerRef.current = window.setTimeout(() => {
+      flushRetryTimerRef.current = null;
+      flushPendingRef.current?.(true);
+    }, delay);
   }, []);
 
+  // Merged into any entry already queued for the row, so fields queued earlier
+  // (such as the card text for a progress row not written yet) are kept.
   const queueStatUpdate = useCallback(
     (card) => {
-      pendingStatsRef.current.set(card.statsRowNumber, {
+      const key = pendingKeyFor(card.statsTitle, card.statsRowNumber);
+      pendingStatsRef.current.set(key, {
+        ...pendingStatsRef.current.get(key),
+        statsTitle: card.statsTitle,
+        rowNumber: card.statsRowNumber,
         seenCount: card.seenCount,
         correctCount: card.correctCount,
         wrongCount: card.wrongCount,
         streak: card.streak,
         lastSeenAt: card.lastSeenAt,
         lastResult: card.lastResult,
-        mastery: card.mastery
+        mastery: card.mastery,
+        intervalDays: card.intervalDays,
+        ease: card.ease,
+        dueAt: card.dueAt,
+        avgResponseMs: card.avgResponseMs,
+        lastResponseMs: card.lastResponseMs,
+        lapses: card.lapses,
+        cardStatus: card.cardStatus,
+        buriedUntil: card.buriedUntil,
+        directionStats: card.directionStats,
+        cardId: card.cardId,
+        queuedAt: new Date().toISOString()
       });
       refreshPendingCount();
     },
     [refreshPendingCount]
   );
 
+  const queueReviewLog = useCallback(
+    (entry) => {
+      pendingReviewLogRef.current = [...pendingReviewLogRef.current, entry];
+      refreshPendingCount();
+    },
+    [refreshPendingCount]
+  );
+
   const rememberSheetRef = useCallback((value, sheetName = "") => {
     const nextId = parseSpreadsheetId(value);
     if (!nextId) return;
@@ -971,7 +4046,9 @@ export default function App() {
   const resetRoundState = useCallback(() => {
     clearPendingAdvance();
     roundCompletedRef.current = new Set();
+    roundCardIdsRef.current = null;
     setRoundCompletedCount(0);
+    setRoundCardIds(null);
     setSessionAnswers(0);
     setSessionCorrect(0);
     setSessionWrongCards(0);
@@ -987,25 +4064,37 @@ export default function App() {
       return;
     }
 
-    const remainingCards = availableCards.filter(
+    const roundCards = studyableRoundCards(availableCards, roundCardIdsRef.current);
+    const remainingCards = roundCards.filter(
       (card) => !roundCompletedRef.current.has(card.cardId)
     );
-    const candidateCards = remainingCards.length > 0 ? remainingCards : availableCards;
-    const nextCard = pickWeightedCard(candidateCards, previousCardId);
+    const candidateCards = remainingCards.length > 0 ? remainingCards : roundCards;
+    const roundDirection = resolveDirection();
+    const nextCard = pickScheduledCard(
+      candidateCards,
+      previousCardId,
+      (card) => studyStatsFor(card, directionForCard(card, roundDirection))
+    );
     if (!nextCard) {
       setCurrentCardId("");
       setChoices([]);
       return;
     }
+    const nextDirection = directionForCard(nextCard, roundDirection);
 
     const optionCount = Math.min(
       availableCards.length,
-      masteryToChoiceCount(nextCard.mastery)
+      masteryToChoiceCount(
+        studyStatsFor(nextCard, nextDirection).mastery,
+        settingsForDeck(nextCard.deckName)
+      )
+    );
+    const sameDeckCards = availableCards.filter(
+      (card) => card.deckName === nextCard.deckName
     );
-    const nextDirection = resolveDirection();
     const distractors = pickDistractors(
       nextCard,
-      availableCards,
+      sameDeckCards.length >= optionCount ? sameDeckCards : availableCards,
       optionCount - 1,
       (card) => answerFor(card, nextDirection)
     );
@@ -1018,11 +4107,19 @@ export default function App() {
     setCurrentCardId(nextCard.cardId);
     setChoices(nextChoices);
     setAnswerState(null);
+    setTypedAnswer("");
+    attemptRef.current = {
+      shownAt: Date.now(),
+      firstChoice: "",
+      firstResponseMs: null,
+      wrongSelections: []
+    };
     if (autoReadQuestion) {
       speakSequence([
         {
           target: "question",
-          text: promptFor(nextCard, nextDirection)
+          text: promptFor(nextCard, nextDirection),
+          audio: promptAudioFor(nextCard, nextDirection)
         }
       ]);
     }
@@ -1030,62 +4127,256 @@ export default function App() {
     answerFor,
     autoReadQuestion,
     clearPendingAdvance,
+    promptAudioFor,
     promptFor,
     resolveDirection,
+    settingsForDeck,
     speakSequence,
     stopNarration
   ]);
 
+  // Applies an edit to the loaded cards and to the card list queued for the
+  // next question, so an edit made while the answer is showing is not lost.
+  const updateLoadedCards = useCallback((transform) => {
+    setCards(transform);
+    if (pendingNextRef.current) {
+      pendingNextRef.current = {
+        ...pendingNextRef.current,
+        cards: transform(pendingNextRef.current.cards)
+      };
+    }
+  }, []);
+
   const flushPending = useCallback(
     async (silent = false) => {
       if (flushInFlightRef.current) return;
-      if (!accessToken) return;
-      if (pendingStatsRef.current.size === 0) {
+      if (pendingStatsRef.current.size === 0 && pendingReviewLogRef.current.length === 0) {
         return;
       }
 
-      const { spreadsheetId, statsSheet } = contextRef.current;
-      if (!spreadsheetId) return;
-
-      const data = [];
-
-      for (const [rowNumber, values] of pendingStatsRef.current.entries()) {
-        data.push(...buildStatUpdates(statsSheet.title, statsSheet.colByName, rowNumber, values));
-      }
+      const { spreadsheetId, statsSheets } = contextRef.current;
+      if (!spreadsheetId || !canReachSpreadsheet(spreadsheetId, accessToken)) return;
 
-      if (data.length === 0) {
+      // Entries already reported as conflicts wait for the next Load Cards,
+      // which matches them to their rows again.
+      const queuedEntries = [...pendingStatsRef.current.entries()].filter(
+        ([, values]) => statsSheets[values.statsTitle] && !values.heldBack
+      );
+      const sentLogRows = pendingReviewLogRef.current;
+      if (queuedEntries.length === 0 && sentLogRows.length === 0) {
         return;
       }
 
+      const data = [];
+      const sentEntries = [];
+      const conflicts = [];
+      let movedCount = 0;
       try {
         flushInFlightRef.current = true;
         setIsFlushing(true);
-        await sheetsBatchUpdate({ spreadsheetId, data, accessToken });
-        pendingStatsRef.current.clear();
+
+        // An offline copy keeps the learner it was saved for. Its answers go to
+        // that learner's progress tabs, so they wait until that account is back.
+        const queuedLearner = contextRef.current.learner;
+        if (queuedLearner && !isLocalSpreadsheetId(spreadsheetId)) {
+          const signedInLearner = await resolveLearner();
+          if (signedInLearner !== queuedLearner) {
+            setStatus(
+              `Signed in as ${signedInLearner}, but the unsynced answers belong to ${queuedLearner}. Reconnect Google as ${queuedLearner} to sync them; they stay saved on this device.`
+            );
+            return;
+          }
+        }
+
+        // Progress is written by row number, so each tab's key columns are
+        // re-read first in case rows were inserted, deleted or sorted since load.
+        const cardsById = new Map(cardsRef.current.map((card) => [card.cardId, card]));
+        const rowByCardId = new Map();
+        for (const statsTitle of new Set(queuedEntries.map(([, values]) => values.statsTitle))) {
+          const statsSheet = statsSheets[statsTitle];
+          const keyColumns = ["card_id", "front", "back", "romanization"]
+            .map((name) => statsSheet.colByName[name])
+            .filter(Number.isInteger);
+          const keyResponse = await sheetsClient.getValues({
+            spreadsheetId,
+            range: makeRange(statsTitle, `A:${colIndexToLetter(Math.max(...keyColumns))}`)
+          });
+          const reconciled = reconcileStatsRows({
+            entries: queuedEntries.filter(([, values]) => values.statsTitle === statsTitle),
+            keyRows: keyResponse.values ?? [],
+            colByName: statsSheet.colByName,
+            rowCount: statsSheet.rowCount,
+            cardsById
+          });
+          statsSheet.rowCount = reconciled.rowCount;
+          movedCount += reconciled.movedCount;
+          reconciled.rowByCardId.forEach((rowNumber, cardId) => rowByCardId.set(cardId, rowNumber));
+          for (const { key, values } of reconciled.conflicts) {
+            pendingStatsRef.current.set(key, { ...values, heldBack: true });
+            conflicts.push({ key, ...values });
+          }
+          for (const { key, values, rowNumber } of reconciled.placed) {
+            sentEntries.push([key, values]);
+            data.push(...buildStatUpdates(statsSheet.title, statsSheet.colByName, rowNumber, values));
+          }
+        }
+        const relinkCard = (card) => {
+          const rowNumber = rowByCardId.get(card.cardId);
+          return rowNumber && rowNumber !== card.statsRowNumber
+            ? { ...card, statsRowNumber: rowNumber }
+            : card;
+        };
+        if (cardsRef.current.some((card) => relinkCard(card) !== card)) {
+          updateLoadedCards((list) => list.map(relinkCard));
+        }
+        if (conflicts.length > 0) {
+          setSyncConflicts((previous) => [...previous, ...conflicts]);
+        }
+
+        if (data.length > 0) {
+          // New progress rows carry a copy of the card text.
+          await sheetsClient.batchUpdate({ spreadsheetId, valueInputOption: "RAW", data });
+        }
+        // Progress that reached the sheet is done even if the log append below
+        // fails. Answers queued while the request was in flight stay pending.
+        for (const [key, values] of sentEntries) {
+          if (pendingStatsRef.current.get(key) === values) {
+            pendingStatsRef.current.delete(key);
+          }
+        }
         refreshPendingCount();
-        if (!silent) {
-          setStatus(`Synced ${data.length} update range(s) to Google Sheets.`);
+        if (sentLogRows.length > 0) {
+          if (!contextRef.current.reviewLogReady) {
+            await ensureSheetTab(sheetsClient, spreadsheetId, REVIEW_LOG_SHEET, REVIEW_LOG_HEADERS);
+            contextRef.current.reviewLogReady = true;
+          }
+          await sheetsClient.appendValues({
+            spreadsheetId,
+            range: makeRange(REVIEW_LOG_SHEET, "A1"),
+            values: sentLogRows.map(reviewLogRowValues)
+          });
+          pendingReviewLogRef.current = pendingReviewLogRef.current.filter(
+            (entry) => !sentLogRows.includes(entry)
+          );
+          refreshPendingCount();
+        }
+        clearFlushRetry();
+        if (conflicts.length > 0) {
+          setStatus(
+            `${conflicts.length} progress update(s) were held back because their rows in the sheet changed. Reload cards to match them again.`
+          );
+        } else if (!silent) {
+          setStatus(
+            [
+              `Synced ${data.length} update range(s) and ${sentLogRows.length} review log row(s) to ${
+                isLocalSpreadsheetId(spreadsheetId) ? "this device" : "Google Sheets"
+              }.`,
+              movedCount > 0 ? `Found ${movedCount} moved progress row(s) by card ID.` : ""
+            ]
+              .filter(Boolean)
+              .join(" ")
+          );
         }
       } catch (error) {
-        setStatus(error.message);
+        scheduleFlushRetry(error.message);
+        setStatus(
+          `Sync failed; ${pendingStatsRef.current.size} answer(s) and ${pendingReviewLogRef.current.length} review log row(s) kept offline and will retry. ${error.message}`
+        );
       } finally {
         flushInFlightRef.current = false;
         setIsFlushing(false);
       }
     },
-    [accessToken, refreshPendingCount]
+    [
+      accessToken,
+      clearFlushRetry,
+      refreshPendingCount,
+      resolveLearner,
+      scheduleFlushRetry,
+      sheetsClient,
+      updateLoadedCards
+    ]
   );
 
   useEffect(() => {
-    ensureGoogleIdentityScript()
-      .then(() => setGisReady(true))
-      .catch((error) => setStatus(error.message));
+    flushPendingRef.current = flushPending;
+  }, [flushPending]);
+
+  useEffect(() => {
+    cardsRef.current = cards;
+  }, [cards]);
+
+  useEffect(() => {
+    loadMediaUrlRef.current = loadMediaUrl;
+  }, [loadMediaUrl]);
+
+  useEffect(() => {
+    if (!tokenExpiresAt) return;
+    const delay = Math.max(0, tokenExpiresAt - Date.now() - TOKEN_REFRESH_MARGIN_MS);
+    const timerId = window.setTimeout(() => {
+      requestAccessTokenSilently().catch(() => {
+        setStatus(
+          "Google session is about to expire. Click Reconnect Google on Home to keep syncing."
+        );
+      });
+    }, delay);
+    return () => window.clearTimeout(timerId);
+  }, [requestAccessTokenSilently, tokenExpiresAt]);
+
+  useEffect(() => {
+    if (!accessToken || pendingStatsRef.current.size === 0) return;
+    flushPendingRef.current?.(true);
+  }, [accessToken]);
+
+  useEffect(() => {
+    const onOnline = () => {
+      flushPendingRef.current?.(true);
+    };
+    window.addEventListener("online", onOnline);
+    return () => {
+      window.removeEventListener("online", onOnline);
+      if (flushRetryTimerRef.current) {
+        window.clearTimeout(flushRetryTimerRef.current);
+      }
+    };
+  }, []);
+
+  // Google's scripts cannot load offline; the app still opens from the service
+  // worker cache, and the scripts are retried when the network comes back.
+  useEffect(() => {
+    let cancelled = false;
+    const reportError = (error) => {
+      if (cancelled) return;
+      setStatus(
+        navigator.onLine
+          ? error.message
+          : "You're offline. Open an offline copy of a recent sheet to study."
+      );
+    };
+    const loadScripts = () => {
+      ensureGoogleIdentityScript()
+        .then(() => !cancelled && setGisReady(true))
+        .catch(reportError);
+      ensureGooglePickerScript()
+        .then(() => !cancelled && setPickerReady(true))
+        .catch(reportError);
+    };
+    loadScripts();
+    window.addEventListener("online", loadScripts);
+    return () => {
+      cancelled = true;
+      window.removeEventListener("online", loadScripts);
+    };
   }, []);
 
   useEffect(() => {
-    ensureGooglePickerScript()
-      .then(() => setPickerReady(true))
-      .catch((error) => setStatus(error.message));
+    const onConnectivityChange = () => setIsOnline(navigator.onLine);
+    window.addEventListener("online", onConnectivityChange);
+    window.addEventListener("offline", onConnectivityChange);
+    return () => {
+      window.removeEventListener("online", onConnectivityChange);
+      window.removeEventListener("offline", onConnectivityChange);
+    };
   }, []);
 
   useEffect(() => {
@@ -1096,6 +4387,30 @@ export default function App() {
     }
   }, [sheetRef]);
 
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEYS.localMode, String(localMode));
+    } catch {
+      // no-op
+    }
+  }, [localMode]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEYS.roundFilters, JSON.stringify(roundFilters));
+    } catch {
+      // no-op
+    }
+  }, [roundFilters]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEYS.roundPresets, JSON.stringify(roundPresets));
+    } catch {
+      // no-op
+    }
+  }, [roundPresets]);
+
   useEffect(() => {
     try {
       window.localStorage.setItem(
@@ -1129,16 +4444,17 @@ export default function App() {
   }, [flushPending]);
 
   useEffect(() => {
-    if (!accessToken) {
+    if (!accessToken && !localMode) {
       setAppStage("connect");
       return;
     }
     setAppStage((previous) => (previous === "connect" ? "sheet" : previous));
-  }, [accessToken]);
+  }, [accessToken, localMode]);
 
   useEffect(() => {
-    if (!accessToken) return;
-    const missingIds = recentSheetRefs.filter((id) => !recentSheetNames[id]);
+    const missingIds = recentSheetRefs.filter(
+      (id) => !recentSheetNames[id] && canReachSpreadsheet(id, accessToken)
+    );
     if (missingIds.length === 0) return;
 
     let cancelled = false;
@@ -1146,9 +4462,8 @@ export default function App() {
       const nameEntries = await Promise.all(
         missingIds.map(async (id) => {
           try {
-            const metadata = await sheetsGetSpreadsheet({
-              spreadsheetId: id,
-              accessToken
+            const metadata = await sheetsClient.getSpreadsheet({
+              spreadsheetId: id
             });
             const title = String(metadata.properties?.title || "").trim();
             if (!title) return null;
@@ -1171,21 +4486,81 @@ export default function App() {
     return () => {
       cancelled = true;
     };
-  }, [accessToken, recentSheetNames, recentSheetRefs]);
+  }, [accessToken, recentSheetNames, recentSheetRefs, sheetsClient]);
+
+  useEffect(() => {
+    if (!spreadsheetId || !canReachSpreadsheet(spreadsheetId, accessToken)) {
+      setAvailableDecks([]);
+      return;
+    }
+
+    let cancelled = false;
+    sheetsClient
+      .getSpreadsheet({ spreadsheetId })
+      .then((metadata) => {
+        if (cancelled) return;
+        const decks = discoverDecks(metadata, learnerEmailRef.current);
+        setAvailableDecks(decks);
+        setSelectedDeckNames((previous) => {
+          const kept = previous.filter((name) => decks.some((deck) => deck.name === name));
+          if (kept.length > 0 || decks.length === 0) return kept;
+          return [decks[0].name];
+        });
+      })
+      .catch(() => {
+        if (!cancelled) setAvailableDecks([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [accessToken, sheetsClient, spreadsheetId]);
 
   useEffect(() => {
-    if (!accessToken) return;
+    if (!accessToken && !localMode) {
+      // Back/Forward can land on any stage; without a sign-in only Connect works.
+      if (appStage !== "connect") setAppStage("connect");
+      return;
+    }
     if (cards.length > 0) return;
     if (appStage === "study" || appStage === "summary" || appStage === "stats") {
       setAppStage("sheet");
     }
-  }, [accessToken, appStage, cards.length]);
+  }, [accessToken, appStage, cards.length, localMode]);
 
   useEffect(() => {
     if (cards.length === 0) return;
     pickNextQuestion(cards);
   }, [studyMode]); // mode-only refresh
 
+  // Moves focus with the study flow so keyboard and screen reader users land on
+  // the new question, and on Next Card once the answer is in.
+  useEffect(() => {
+    if (appStage !== "study") return;
+    if (answerMode === "typed") {
+      typedAnswerInputRef.current?.focus();
+      return;
+    }
+    questionHeadingRef.current?.focus();
+  }, [answerMode, appStage, currentCardId]);
+
+  useEffect(() => {
+    if (appStage !== "study" || !awaitingManualNext) return;
+    nextCardButtonRef.current?.focus();
+  }, [appStage, awaitingManualNext]);
+
+  const cardEditorKey = cardEditor ? `${cardEditor.mode}:${cardEditor.cardId}` : "";
+  useEffect(() => {
+    if (!cardEditorKey) return;
+    cardEditorRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, [cardEditorKey]);
+
+  const isRoundSetupOpen = Boolean(roundDraft);
+  useEffect(() => {
+    if (!isRoundSetupOpen) return;
+    roundSetupRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, [isRoundSetupOpen]);
+
   useEffect(
     () => () => {
       clearPendingAdvance();
@@ -1211,43 +4586,54 @@ export default function App() {
     try {
       tokenClientRef.current = window.google.accounts.oauth2.initTokenClient({
         client_id: clientId.trim(),
-        scope: SHEETS_SCOPE,
-        callback: (tokenResponse) => {
-          if (tokenResponse.error) {
-            setStatus(`Auth error: ${tokenResponse.error}`);
-            return;
-          }
-          setAccessToken(tokenResponse.access_token);
-          setAppStage("sheet");
-          setStatus("Connected to Google. Next: pick or load a sheet.");
-        }
+        scope: GOOGLE_SCOPES,
+        callback: applyTokenResponse,
+        error_callback: applyTokenError
       });
 
+      tokenRequestRef.current = null;
       tokenClientRef.current.requestAccessToken({ prompt: "consent" });
     } catch (error) {
       setStatus(`Google sign-in failed to initialize: ${error.message}`);
     }
-  }, [clientId, gisReady]);
+  }, [applyTokenError, applyTokenResponse, clientId, gisReady]);
 
   const handleDisconnectGoogle = useCallback(() => {
     const completeDisconnect = () => {
       clearPendingAdvance();
       stopNarration();
+      releaseMediaUrls();
       pendingStatsRef.current.clear();
       contextRef.current = {
         spreadsheetId: "",
-        statsSheet: {
-          title: CARD_STATS_SHEET,
-          colByName: {}
-        }
+        dataSheets: {},
+        statsSheets: {},
+        reviewLogReady: false,
+        hasSettings: false,
+        learner: ""
       };
+      setCardEditor(null);
+      setSettingsRows([]);
+      setClassProgress(null);
+      pendingReviewLogRef.current = [];
+      setSyncConflicts([]);
+      clearFlushRetry();
       setPendingWrites(0);
+      setPendingQueue([]);
+      accessTokenRef.current = "";
+      tokenExpiresAtRef.current = 0;
+      tokenClientRef.current = null;
       setAccessToken("");
+      learnerEmailRef.current = "";
+      setLearnerEmail("");
+      setTokenExpiresAt(0);
       setCards([]);
+      setLoadedDeckNames([]);
       setCurrentCardId("");
       setChoices([]);
       setAnswerState(null);
       resetRoundState();
+      setLocalMode(false);
       setAppStage("connect");
       setStatus("Disconnected Google access.");
     };
@@ -1268,9 +4654,24 @@ export default function App() {
     } catch {
       completeDisconnect();
     }
-  }, [accessToken, clearPendingAdvance, resetRoundState, stopNarration]);
+  }, [
+    accessToken,
+    clearFlushRetry,
+    clearPendingAdvance,
+    releaseMediaUrls,
+    resetRoundState,
+    stopNarration
+  ]);
 
-  const handleClearLocalData = useCallback(() => {
+  const handleClearLocalData = useCallback(async () => {
+    if (hasPendingSync) {
+      const shouldClear = window.confirm(
+        `${pendingWrites} answer update(s) and ${pendingLogCount} review log row(s) have not reached Google Sheets yet. Clearing local data discards them. Continue?`
+      );
+      if (!shouldClear) {
+        return;
+      }
+    }
     try {
       window.localStorage.removeItem(STORAGE_KEYS.sheetRef);
       window.localStorage.removeItem(STORAGE_KEYS.recentSheetRefs);
@@ -1278,16 +4679,38 @@ export default function App() {
     } catch {
       // no-op
     }
+    try {
+      await idbClear(APP_DB_STORES.pendingWrites);
+      await idbClear(APP_DB_STORES.mediaCache);
+      await idbClear(APP_DB_STORES.deckSnapshots);
+    } catch {
+      // no-op
+    }
+    refreshDeckSnapshots();
+    releaseMediaUrls();
+    pendingStatsRef.current.clear();
+    pendingReviewLogRef.current = [];
+    setSyncConflicts([]);
+    clearFlushRetry();
+    refreshPendingCount();
     setSheetRef("");
     setRecentSheetRefs([]);
     setRecentSheetNames({});
     setSheetLoadErrors({});
     setPromptStudyNotes("");
     setStatus("Cleared local sheet history and local app data.");
-  }, []);
+  }, [
+    clearFlushRetry,
+    hasPendingSync,
+    pendingLogCount,
+    pendingWrites,
+    refreshDeckSnapshots,
+    refreshPendingCount,
+    releaseMediaUrls
+  ]);
 
   const handleInitializeSheetTemplate = useCallback(async () => {
-    if (!accessToken) {
+    if (!canReachSpreadsheet(spreadsheetId, accessToken)) {
       setStatus("Connect Google first.");
       return;
     }
@@ -1297,7 +4720,7 @@ export default function App() {
     }
 
     const shouldContinue = window.confirm(
-      `Initialize template in ${CARD_DATA_SHEET} and ${CARD_STATS_SHEET}? This rewrites row 1 headers in those tabs.`
+      `Initialize template in ${CARD_DATA_SHEET} and ${CARD_STATS_SHEET}? Missing tabs are created and missing headers are added after the last column; existing columns are left as they are.`
     );
     if (!shouldContinue) {
       return;
@@ -1305,7 +4728,7 @@ export default function App() {
 
     try {
       setStatus(`Initializing ${CARD_DATA_SHEET} / ${CARD_STATS_SHEET} template...`);
-      const metadata = await sheetsGetSpreadsheet({ spreadsheetId, accessToken });
+      const metadata = await sheetsClient.getSpreadsheet({ spreadsheetId });
       const sheetTitles = new Set(
         (metadata.sheets ?? [])
           .map((sheet) => sheet.properties?.title)
@@ -1333,42 +4756,41 @@ export default function App() {
       }
 
       if (requests.length > 0) {
-        await sheetsSpreadsheetBatchUpdate({
+        await sheetsClient.spreadsheetBatchUpdate({
           spreadsheetId,
-          requests,
-          accessToken
+          requests
         });
       }
 
-      const headerData = [
-        {
-          range: makeRange(
-            CARD_DATA_SHEET,
-            `A1:${colIndexToLetter(CARD_TEMPLATE_HEADERS.length - 1)}1`
-          ),
-          majorDimension: "ROWS",
-          values: [CARD_TEMPLATE_HEADERS]
-        },
-        {
-          range: makeRange(
-            CARD_STATS_SHEET,
-            `A1:${colIndexToLetter(STATS_TEMPLATE_HEADERS.length - 1)}1`
-          ),
-          majorDimension: "ROWS",
-          values: [STATS_TEMPLATE_HEADERS]
-        }
-      ];
-      await sheetsBatchUpdate({ spreadsheetId, data: headerData, accessToken });
+      await addMissingTemplateHeaders(
+        sheetsClient,
+        spreadsheetId,
+        CARD_DATA_SHEET,
+        CARD_SHEET_HEADERS,
+        CARD_COLUMN_ALIASES
+      );
+      await addMissingTemplateHeaders(
+        sheetsClient,
+        spreadsheetId,
+        CARD_STATS_SHEET,
+        STATS_TEMPLATE_HEADERS,
+        STATS_COLUMN_ALIASES
+      );
+      await ensureSheetTab(sheetsClient, spreadsheetId, SETTINGS_SHEET, SETTINGS_HEADERS);
+      if (contextRef.current.spreadsheetId === spreadsheetId) {
+        contextRef.current.hasSettings = true;
+      }
+      setAvailableDecks(discoverDecks(await sheetsClient.getSpreadsheet({ spreadsheetId }), learnerEmailRef.current));
       setStatus(
         `Template ready. Put card content rows in ${CARD_DATA_SHEET}, then click Load Cards.`
       );
     } catch (error) {
       setStatus(error.message);
     }
-  }, [accessToken, spreadsheetId]);
+  }, [accessToken, sheetsClient, spreadsheetId]);
 
-  const handleCreateSheet = useCallback(async () => {
-    if (!accessToken) {
+  const handleCreateSheet = useCallback(async (local = false) => {
+    if (!local && !accessToken) {
       setStatus("Connect Google first.");
       return;
     }
@@ -1376,50 +4798,113 @@ export default function App() {
     const title = String(newSheetTitle || "").trim() || `Sheet Cards ${new Date().toISOString().slice(0, 10)}`;
 
     try {
-      setStatus("Creating a new spreadsheet...");
-      const created = await sheetsCreateSpreadsheet({ title, accessToken });
+      setStatus(local ? "Creating a local sheet on this device..." : "Creating a new spreadsheet...");
+      const created = await sheetsClient.createSpreadsheet({ title, local });
       const createdId = created.spreadsheetId;
-      const createdUrl =
-        created.spreadsheetUrl || `https://docs.google.com/spreadsheets/d/${createdId}/edit`;
+      const createdUrl = createdSheetRef(created);
 
       const headerData = [
-        {
-          range: makeRange(
-            CARD_DATA_SHEET,
-            `A1:${colIndexToLetter(CARD_TEMPLATE_HEADERS.length - 1)}1`
-          ),
-          majorDimension: "ROWS",
-          values: [CARD_TEMPLATE_HEADERS]
-        },
-        {
-          range: makeRange(
-            CARD_STATS_SHEET,
-            `A1:${colIndexToLetter(STATS_TEMPLATE_HEADERS.length - 1)}1`
-          ),
-          majorDimension: "ROWS",
-          values: [STATS_TEMPLATE_HEADERS]
-        }
+        templateHeaderRange(CARD_DATA_SHEET, CARD_SHEET_HEADERS),
+        templateHeaderRange(CARD_STATS_SHEET, STATS_TEMPLATE_HEADERS)
       ];
-      await sheetsBatchUpdate({
+      await sheetsClient.batchUpdate({
         spreadsheetId: createdId,
-        data: headerData,
-        accessToken
+        data: headerData
       });
 
       setSheetRef(createdUrl);
       rememberSheetRef(createdUrl, title);
+      if (local) {
+        refreshLocalSheets();
+      }
       setStatus(`Created new sheet template: ${title}. Add cards, then click Load Cards.`);
     } catch (error) {
       setStatus(error.message);
     }
-  }, [accessToken, newSheetTitle, rememberSheetRef]);
+  }, [accessToken, newSheetTitle, refreshLocalSheets, rememberSheetRef, sheetsClient]);
+
+  const handleToggleDeck = useCallback((deckName) => {
+    setSelectedDeckNames((previous) =>
+      previous.includes(deckName)
+        ? previous.filter((name) => name !== deckName)
+        : [...previous, deckName]
+    );
+  }, []);
+
+  const createDeckTabs = useCallback(
+    async (targetSpreadsheetId, name) => {
+      const dataTitle = deckDataTitle(name);
+      const statsTitle = deckStatsTitle(name);
+      await sheetsClient.spreadsheetBatchUpdate({
+        spreadsheetId: targetSpreadsheetId,
+        requests: [
+          { addSheet: { properties: { title: dataTitle } } },
+          { addSheet: { properties: { title: statsTitle } } }
+        ]
+      });
+      await sheetsClient.batchUpdate({
+        spreadsheetId: targetSpreadsheetId,
+        data: [
+          templateHeaderRange(dataTitle, CARD_SHEET_HEADERS),
+          templateHeaderRange(statsTitle, STATS_TEMPLATE_HEADERS)
+        ]
+      });
+      const metadata = await sheetsClient.getSpreadsheet({ spreadsheetId: targetSpreadsheetId });
+      setAvailableDecks(discoverDecks(metadata, learnerEmailRef.current));
+    },
+    [sheetsClient]
+  );
+
+  const handleAddDeck = useCallback(async () => {
+    if (!canReachSpreadsheet(spreadsheetId, accessToken)) {
+      setStatus("Connect Google first.");
+      return;
+    }
+    if (!spreadsheetId) {
+      setStatus("Invalid sheet URL or spreadsheet ID.");
+      return;
+    }
+    const name = String(newDeckName || "").replace(/\s+/g, " ").trim();
+    if (!name) {
+      setStatus("Enter a deck name first.");
+      return;
+    }
+    if (availableDecks.some((deck) => deck.name.toLowerCase() === name.toLowerCase())) {
+      setStatus(`Deck "${name}" already exists.`);
+      return;
+    }
+
+    const dataTitle = deckDataTitle(name);
+    const statsTitle = deckStatsTitle(name);
+    try {
+      setStatus(`Creating ${dataTitle} and ${statsTitle}...`);
+      await createDeckTabs(spreadsheetId, name);
+      setSelectedDeckNames((previous) => [...previous, name]);
+      setNewDeckName("");
+      setStatus(`Deck "${name}" created. Add card rows to ${dataTitle}, then click Load Cards.`);
+    } catch (error) {
+      setStatus(error.message);
+    }
+  }, [accessToken, availableDecks, createDeckTabs, newDeckName, spreadsheetId]);
+
+  // Applies the study options a Settings tab sets; options it leaves out keep
+  // whatever the learner picked on this device.
+  const applyStudySettings = useCallback((settings) => {
+    if (settings.studyMode) setStudyMode(settings.studyMode);
+    // A delay in the sheet means the learner wants Auto Next on.
+    if (settings.autoAdvanceMs != null) {
+      setAutoAdvanceMode("delay");
+      setAutoAdvanceMs(settings.autoAdvanceMs);
+    }
+    if (settings.autoReadQuestion != null) setAutoReadQuestion(settings.autoReadQuestion);
+  }, []);
 
   const handleLoadCards = useCallback(async (options = {}) => {
     const targetSheetRef = String(options.sheetRef ?? sheetRef);
     const targetSpreadsheetId =
       String(options.spreadsheetId ?? parseSpreadsheetId(targetSheetRef));
 
-    if (!accessToken) {
+    if (!canReachSpreadsheet(targetSpreadsheetId, accessToken)) {
       setStatus("Connect Google first.");
       return;
     }
@@ -1429,183 +4914,206 @@ export default function App() {
     }
 
     try {
-      setStatus(`Loading cards from ${CARD_DATA_SHEET} and stats from ${CARD_STATS_SHEET}...`);
-      const [cardsResponse, statsResponse, metadata] = await Promise.all([
-        sheetsGetValues({
-          spreadsheetId: targetSpreadsheetId,
-          range: makeRange(CARD_DATA_SHEET, "A:Z"),
-          accessToken
-        }),
-        sheetsGetValues({
-          spreadsheetId: targetSpreadsheetId,
-          range: makeRange(CARD_STATS_SHEET, "A:Z"),
-          accessToken
-        }),
-        sheetsGetSpreadsheet({
-          spreadsheetId: targetSpreadsheetId,
-          accessToken
-        })
-      ]);
-
-      const cardRows = cardsResponse.values ?? [];
-      if (cardRows.length === 0) {
+      setStatus("Loading deck tabs...");
+      const learner = isLocalSpreadsheetId(targetSpreadsheetId) ? "" : await resolveLearner();
+      const metadata = await sheetsClient.getSpreadsheet({
+        spreadsheetId: targetSpreadsheetId
+      });
+      const decks = discoverDecks(metadata, learner);
+      setAvailableDecks(decks);
+      if (decks.length === 0) {
         markSheetLoadError(targetSpreadsheetId);
-        setCards([]);
-        setCurrentCardId("");
-        setChoices([]);
         setStatus(
-          `${CARD_DATA_SHEET} is empty. Initialize the template if needed, then add card rows under the header.`
+          `Sheet tabs are missing. Click "Initialize Sheet Template" to create ${CARD_DATA_SHEET} and ${CARD_STATS_SHEET}.`
         );
         return;
       }
 
-      const cardsColByName = buildAliasedColumnMap(cardRows[0], CARD_COLUMN_ALIASES);
-      const requiredCardColumns = ["front", "back"];
-      const missingCardColumns = requiredCardColumns.filter(
-        (name) => !Number.isInteger(cardsColByName[name])
-      );
-      if (missingCardColumns.length > 0) {
-        markSheetLoadError(targetSpreadsheetId);
-        setStatus(
-          `${CARD_DATA_SHEET} is missing required columns: ${missingCardColumns.join(", ")}. Click "Initialize Sheet Template".`
-        );
-        return;
+      const requestedDeckNames = options.deckNames ?? selectedDeckNames;
+      let targetDecks = decks.filter((deck) => requestedDeckNames.includes(deck.name));
+      if (targetDecks.length === 0) {
+        targetDecks = [decks[0]];
       }
 
-      const statsRows = statsResponse.values ?? [];
-      if (statsRows.length === 0) {
-        markSheetLoadError(targetSpreadsheetId);
-        setStatus(
-          `${CARD_STATS_SHEET} is empty. Click "Initialize Sheet Template" first.`
-        );
-        return;
+      // The first learner on a deck keeps the progress already in its shared
+      // tab; everyone after that starts with an empty tab of their own.
+      const missingStatsTabs = targetDecks.filter((deck) => !deck.hasStatsTab);
+      const copiedStatsTabs = missingStatsTabs.filter(
+        (deck) =>
+          deck.statsTitle !== deck.sharedStatsTitle &&
+          deck.sharedStatsSheetId != null &&
+          !deck.hasLearnerTabs
+      );
+      if (missingStatsTabs.length > 0) {
+        await sheetsClient.spreadsheetBatchUpdate({
+          spreadsheetId: targetSpreadsheetId,
+          requests: missingStatsTabs.map((deck) =>
+            copiedStatsTabs.includes(deck)
+              ? {
+                  duplicateSheet: {
+                    sourceSheetId: deck.sharedStatsSheetId,
+                    newSheetName: deck.statsTitle
+                  }
+                }
+              : { addSheet: { properties: { title: deck.statsTitle } } }
+          )
+        });
       }
 
-      const statsColByName = buildAliasedColumnMap(statsRows[0], STATS_COLUMN_ALIASES);
-      const missingStatsColumns = REQUIRED_STATS_FIELDS.filter(
-        (name) => !Number.isInteger(statsColByName[name])
+      setStatus(
+        `Loading cards from ${targetDecks.map((deck) => deck.dataTitle).join(", ")}...`
       );
-      if (missingStatsColumns.length > 0) {
-        markSheetLoadError(targetSpreadsheetId);
-        setStatus(
-          `${CARD_STATS_SHEET} is missing required columns: ${missingStatsColumns.join(", ")}. Click "Initialize Sheet Template".`
-        );
-        return;
-      }
-      const hasStatsQaColumns =
-        Number.isInteger(statsColByName.front) &&
-        Number.isInteger(statsColByName.back) &&
-        Number.isInteger(statsColByName.romanization);
-      if (!hasStatsQaColumns) {
+      const deckRows = await Promise.all(
+        targetDecks.map(async (deck) => {
+          const [cardsResponse, statsResponse] = await Promise.all([
+            sheetsClient.getValues({
+              spreadsheetId: targetSpreadsheetId,
+              range: makeRange(deck.dataTitle, "A:Z")
+            }),
+            sheetsClient.getValues({
+              spreadsheetId: targetSpreadsheetId,
+              range: makeRange(deck.statsTitle, "A:AZ")
+            })
+          ]);
+          return {
+            deck,
+            cardRows: cardsResponse.values ?? [],
+            statsRows: statsResponse.values ?? []
+          };
+        })
+      );
+
+      const hasSettings = (metadata.sheets ?? []).some(
+        (sheet) => sheet.properties?.title === SETTINGS_SHEET
+      );
+      const nextSettingsRows = hasSettings
+        ? readSettingsRows(
+            (
+              await sheetsClient.getValues({
+                spreadsheetId: targetSpreadsheetId,
+                range: makeRange(SETTINGS_SHEET, "A:C")
+              })
+            ).values
+          )
+        : [];
+
+      const nonEmptyDecks = deckRows.filter(({ cardRows }) => cardRows.length > 0);
+      if (nonEmptyDecks.length === 0) {
         markSheetLoadError(targetSpreadsheetId);
+        setCards([]);
+        setCurrentCardId("");
+        setChoices([]);
         setStatus(
-          `${CARD_STATS_SHEET} must include question, answer, and pronunciation columns. Click "Initialize Sheet Template".`
+          `${targetDecks[0].dataTitle} is empty. Initialize the template if needed, then add card rows under the header.`
         );
         return;
       }
 
-      pendingStatsRef.current.clear();
-
-      const statsByKey = new Map();
-      const qaStatsCounter = new Map();
-      for (let rowIndex = 1; rowIndex < statsRows.length; rowIndex += 1) {
-        const row = statsRows[rowIndex];
-        const statsFront = String(safeCell(row, statsColByName.front)).trim();
-        const statsBack = String(safeCell(row, statsColByName.back)).trim();
-        const statsRomanization = String(safeCell(row, statsColByName.romanization)).trim();
-        if (!statsFront && !statsBack) continue;
-
-        const baseStats = createDefaultStats();
-        baseStats.seenCount = parseNumber(safeCell(row, statsColByName.seen_count));
-        baseStats.correctCount = parseNumber(safeCell(row, statsColByName.correct_count));
-        baseStats.wrongCount = parseNumber(safeCell(row, statsColByName.wrong_count));
-        baseStats.streak = parseNumber(safeCell(row, statsColByName.streak));
-        baseStats.lastSeenAt = String(safeCell(row, statsColByName.last_seen_at)).trim();
-        baseStats.lastResult = String(safeCell(row, statsColByName.last_result)).trim();
-        baseStats.mastery = parseNumber(safeCell(row, statsColByName.mastery));
-        if (baseStats.mastery <= 0 && baseStats.seenCount > 0) {
-          baseStats.mastery = computeMastery(baseStats);
+      const joinedCards = [];
+      const nextPendingStats = new Map();
+      const headerAndIdUpdates = [];
+      const dataSheets = {};
+      const statsSheets = {};
+      const usedCardIds = new Set();
+      let migratedScheduleCount = 0;
+      let linkedByTextCount = 0;
+      for (const { deck, cardRows, statsRows: loadedStatsRows } of nonEmptyDecks) {
+        let statsRows = loadedStatsRows;
+        if (statsRows.length === 0) {
+          statsRows = [STATS_TEMPLATE_HEADERS];
+          headerAndIdUpdates.push(templateHeaderRange(deck.statsTitle, STATS_TEMPLATE_HEADERS));
         }
 
-        const matchKey = nextOccurrenceKey(
-          `qa:${buildQaBaseKey(statsFront, statsBack, statsRomanization)}`,
-          qaStatsCounter
+        const prepared = prepareDeckSheets(deck, cardRows, statsRows);
+        if (prepared.error) {
+          markSheetLoadError(targetSpreadsheetId);
+          setStatus(prepared.error);
+          return;
+        }
+        const { cardsColByName, statsColByName } = prepared;
+
+        const joined = joinCardsWithStats({
+          deck,
+          cardRows,
+          cardsColByName,
+          statsRows,
+          statsColByName,
+          usedCardIds,
+          settings: resolveDeckSettings(nextSettingsRows, deck.name)
+        });
+        joinedCards.push(...joined.cards);
+        joined.pendingStats.forEach((values, key) => nextPendingStats.set(key, values));
+        migratedScheduleCount += joined.migratedScheduleCount;
+        linkedByTextCount += joined.linkedByTextCount;
+        dataSheets[deck.dataTitle] = {
+          title: deck.dataTitle,
+          sheetId: deck.dataSheetId,
+          colByName: cardsColByName,
+          rowCount: cardRows.length
+        };
+        statsSheets[deck.statsTitle] = {
+          title: deck.statsTitle,
+          colByName: statsColByName,
+          rowCount: statsRows.length
+        };
+        headerAndIdUpdates.push(
+          ...prepared.headerData,
+          ...joined.cardIdUpdates.map(({ rowNumber, cardId }) => ({
+            range: makeRange(
+              deck.dataTitle,
+              `${colIndexToLetter(cardsColByName.card_id)}${rowNumber}`
+            ),
+            majorDimension: "ROWS",
+            values: [[cardId]]
+          }))
         );
+      }
 
-        statsByKey.set(matchKey, {
-          rowNumber: rowIndex + 1,
-          ...baseStats
+      const replayed = await loadPersistedPendingQueue(targetSpreadsheetId, joinedCards);
+      const nextCards = replayed.cards;
+      for (const [key, values] of replayed.pendingStats) {
+        nextPendingStats.set(key, {
+          ...nextPendingStats.get(key),
+          ...values
         });
       }
-
-      let nextStatsRowNumber = Math.max(2, statsRows.length + 1);
-      const qaCardCounter = new Map();
-      const nextCards = [];
-      for (let rowIndex = 1; rowIndex < cardRows.length; rowIndex += 1) {
-        const row = cardRows[rowIndex];
-        const front = String(safeCell(row, cardsColByName.front)).trim();
-        const back = String(safeCell(row, cardsColByName.back)).trim();
-        const romanization = String(safeCell(row, cardsColByName.romanization)).trim();
-        if (!front && !back) {
-          continue;
-        }
-
-        const rowNumber = rowIndex + 1;
-        const matchKey = nextOccurrenceKey(
-          `qa:${buildQaBaseKey(front, back, romanization)}`,
-          qaCardCounter
-        );
-
-        let stats = statsByKey.get(matchKey);
-        if (!stats) {
-          const baseStats = createDefaultStats();
-          stats = {
-            rowNumber: nextStatsRowNumber,
-            ...baseStats
-          };
-          nextStatsRowNumber += 1;
-          statsByKey.set(matchKey, stats);
-          pendingStatsRef.current.set(stats.rowNumber, {
-            ...baseStats,
-            front,
-            back,
-            romanization
-          });
-        }
-
-        nextCards.push({
-          contentRowNumber: rowNumber,
-          statsRowNumber: stats.rowNumber,
-          cardId: matchKey,
-          front,
-          back,
-          romanization,
-          tags: parseTags(safeCell(row, cardsColByName.tags)),
-          questionExplanation: String(
-            safeCell(row, cardsColByName.question_explanation)
-          ).trim(),
-          answerExplanation: String(
-            safeCell(row, cardsColByName.answer_explanation)
-          ).trim(),
-          seenCount: stats.seenCount,
-          correctCount: stats.correctCount,
-          wrongCount: stats.wrongCount,
-          streak: stats.streak,
-          lastSeenAt: stats.lastSeenAt,
-          lastResult: stats.lastResult,
-          mastery: stats.mastery
+      if (headerAndIdUpdates.length > 0) {
+        await sheetsClient.batchUpdate({
+          spreadsheetId: targetSpreadsheetId,
+          data: headerAndIdUpdates
         });
       }
 
+      clearFlushRetry();
+      pendingStatsRef.current = nextPendingStats;
+      pendingReviewLogRef.current = replayed.reviewLog;
+      setSyncConflicts([]);
+      if (contextRef.current.spreadsheetId !== targetSpreadsheetId) {
+        releaseMediaUrls();
+      }
       contextRef.current = {
         spreadsheetId: targetSpreadsheetId,
-        statsSheet: {
-          title: CARD_STATS_SHEET,
-          colByName: statsColByName
-        }
+        dataSheets,
+        statsSheets,
+        // Checked on the first sync, which also adds headers (like `learner`)
+        // that older Review Log tabs lack.
+        reviewLogReady: false,
+        hasSettings,
+        learner
       };
 
+      const loadedNames = nonEmptyDecks.map(({ deck }) => deck.name);
+      setSettingsRows(nextSettingsRows);
+      setSettingsDraft(null);
+      setClassProgress(null);
+      const studySettings = explicitDeckSettings(nextSettingsRows, loadedNames[0]);
+      applyStudySettings(studySettings);
+      setSelectedDeckNames(targetDecks.map((deck) => deck.name));
+      setLoadedDeckNames(loadedNames);
       setCards(nextCards);
+      // The flush below runs before the next render would update this ref.
+      cardsRef.current = nextCards;
+      setCardEditor(null);
       resetRoundState();
       pickNextQuestion(nextCards);
       refreshPendingCount();
@@ -1617,7 +5125,32 @@ export default function App() {
         await flushPending(true);
       }
 
-      setStatus(`Loaded ${nextCards.length} cards. Click Start Study Round.`);
+      const loadedStudyMode = studySettings.studyMode || studyMode;
+      const dueNow = buildStudyQueues(nextCards, Date.now(), (card) =>
+        modeStatsFor(card, loadedStudyMode)
+      ).due.length;
+      setStatus(
+        [
+          loadedNames.length > 1
+            ? `Loaded ${nextCards.length} cards from ${loadedNames.length} decks (${dueNow} due now).`
+            : `Loaded ${nextCards.length} cards (${dueNow} due now).`,
+          migratedScheduleCount > 0
+            ? `Scheduled ${migratedScheduleCount} existing progress row(s).`
+            : "",
+          replayed.replayedCount > 0
+            ? `Replaying ${replayed.replayedCount} unsynced answer(s) from this device.`
+            : "",
+          linkedByTextCount > 0
+            ? `Linked ${linkedByTextCount} progress row(s) to card IDs.`
+            : "",
+          copiedStatsTabs.length > 0
+            ? `Copied existing progress into ${copiedStatsTabs.map((deck) => deck.statsTitle).join(", ")}.`
+            : "",
+          "Click Start Study Round."
+        ]
+          .filter(Boolean)
+          .join(" ")
+      );
     } catch (error) {
       const message = String(error.message ?? "");
       if (
@@ -1637,11 +5170,17 @@ export default function App() {
         );
         return;
       }
+      if (!navigator.onLine) {
+        setStatus("You're offline. Open this sheet's offline copy on the Connect screen to study.");
+        return;
+      }
       markSheetLoadError(targetSpreadsheetId);
       setStatus(message);
     }
   }, [
     accessToken,
+    applyStudySettings,
+    clearFlushRetry,
     clearSheetLoadError,
     flushPending,
     markSheetLoadError,
@@ -1649,10 +5188,163 @@ export default function App() {
     rememberSheetRef,
     resetRoundState,
     refreshPendingCount,
+    releaseMediaUrls,
+    resolveLearner,
+    selectedDeckNames,
     sheetRef,
-    spreadsheetId
+    sheetsClient,
+    spreadsheetId,
+    studyMode
   ]);
 
+  // Reads every learner's progress tab for the loaded decks.
+  const handleLoadClassProgress = useCallback(async () => {
+    const { spreadsheetId: loadedSpreadsheetId } = contextRef.current;
+    if (!loadedSpreadsheetId || cards.length === 0) {
+      setStatus("Load cards first.");
+      return;
+    }
+
+    setIsLoadingClass(true);
+    try {
+      setStatus("Reading learner progress tabs...");
+      const metadata = await sheetsClient.getSpreadsheet({ spreadsheetId: loadedSpreadsheetId });
+      const tabs = [...new Set(cards.map((card) => card.deckName))].flatMap((deckName) =>
+        learnerStatsTabs(metadata, deckStatsTitle(deckName)).map((tab) => ({ ...tab, deckName }))
+      );
+      if (tabs.length === 0) {
+        setClassProgress(null);
+        setStatus("No learner progress tabs yet. Each learner gets one on their first Load Cards.");
+        return;
+      }
+
+      const responses = await Promise.all(
+        tabs.map((tab) =>
+          sheetsClient.getValues({
+            spreadsheetId: loadedSpreadsheetId,
+            range: makeRange(tab.title, "A:AZ")
+          })
+        )
+      );
+      const nextClassProgress = buildClassProgress(
+        cards,
+        tabs.map((tab, index) => ({ ...tab, rows: responses[index].values ?? [] })),
+        settingsForDeck
+      );
+      setClassProgress(nextClassProgress);
+      setClassLearner((current) =>
+        nextClassProgress.learners.some((entry) => entry.learner === current) ? current : ""
+      );
+      setStatus(`Read progress for ${nextClassProgress.learners.length} learner(s).`);
+    } catch (error) {
+      setStatus(error.message);
+    } finally {
+      setIsLoadingClass(false);
+    }
+  }, [cards, settingsForDeck, sheetsClient]);
+
+  const openSettingsEditor = useCallback(
+    (scope) => {
+      const values = settingsForScope(settingsRows, scope);
+      setSettingsDraft({
+        scope,
+        values: Object.fromEntries(
+          DECK_SETTING_FIELDS.map((field) => [field.key, values[field.key] ?? ""])
+        )
+      });
+    },
+    [settingsRows]
+  );
+
+  const handleSettingsDraftChange = useCallback((key, value) => {
+    setSettingsDraft((prev) => (prev ? { ...prev, values: { ...prev.values, [key]: value } } : prev));
+  }, []);
+
+  // Writes the edited scope back to the Settings tab: existing rows get their
+  // value replaced (blank clears the override) and new keys are appended.
+  const handleSaveDeckSettings = useCallback(async () => {
+    if (!settingsDraft) return;
+    const { spreadsheetId: targetSpreadsheetId, hasSettings } = contextRef.current;
+    if (!targetSpreadsheetId || !canReachSpreadsheet(targetSpreadsheetId, accessToken)) {
+      setStatus("Load the sheet before saving settings.");
+      return;
+    }
+    const invalidFields = DECK_SETTING_FIELDS.filter((field) => {
+      const value = settingsDraft.values[field.key].trim();
+      return value && parseSettingValue(field, value) === undefined;
+    });
+    if (invalidFields.length > 0) {
+      setStatus(`Check these settings: ${invalidFields.map((field) => field.label).join(", ")}.`);
+      return;
+    }
+
+    try {
+      setIsSavingSettings(true);
+      if (!hasSettings) {
+        await ensureSheetTab(sheetsClient, targetSpreadsheetId, SETTINGS_SHEET, SETTINGS_HEADERS);
+        contextRef.current.hasSettings = true;
+      }
+
+      // Rows are matched against the tab as it is now, in case an earlier save
+      // got part of the way or someone edited it since load.
+      const currentRows = readSettingsRows(
+        (
+          await sheetsClient.getValues({
+            spreadsheetId: targetSpreadsheetId,
+            range: makeRange(SETTINGS_SHEET, "A:C")
+          })
+        ).values
+      );
+      const scope = settingsDraft.scope.toLowerCase();
+      const rowByKey = new Map();
+      for (const row of currentRows) {
+        if (row.deck.toLowerCase() === scope) rowByKey.set(row.key, row);
+      }
+      const updates = [];
+      const appendedRows = [];
+      for (const field of DECK_SETTING_FIELDS) {
+        const value = settingsDraft.values[field.key].trim();
+        const row = rowByKey.get(field.key);
+        if (row) {
+          if (row.value === value) continue;
+          updates.push({
+            range: makeRange(SETTINGS_SHEET, `C${row.rowNumber}`),
+            majorDimension: "ROWS",
+            values: [[value]]
+          });
+        } else if (value) {
+          appendedRows.push([settingsDraft.scope, field.key, value]);
+        }
+      }
+      if (updates.length > 0) {
+        await sheetsClient.batchUpdate({ spreadsheetId: targetSpreadsheetId, data: updates });
+      }
+      if (appendedRows.length > 0) {
+        await sheetsClient.appendValues({
+          spreadsheetId: targetSpreadsheetId,
+          range: makeRange(SETTINGS_SHEET, "A1"),
+          values: appendedRows
+        });
+      }
+
+      const response = await sheetsClient.getValues({
+        spreadsheetId: targetSpreadsheetId,
+        range: makeRange(SETTINGS_SHEET, "A:C")
+      });
+      const nextRows = readSettingsRows(response.values);
+      setSettingsRows(nextRows);
+      applyStudySettings(explicitDeckSettings(nextRows, loadedDeckNames[0]));
+      setSettingsDraft(null);
+      setStatus(
+        `Saved ${settingsDraft.scope ? `${settingsDraft.scope} deck` : "spreadsheet-wide"} settings to the ${SETTINGS_SHEET} tab.`
+      );
+    } catch (error) {
+      setStatus(error.message);
+    } finally {
+      setIsSavingSettings(false);
+    }
+  }, [accessToken, applyStudySettings, loadedDeckNames, settingsDraft, sheetsClient]);
+
   const handlePickSheetFromDrive = useCallback(() => {
     if (!accessToken) {
       setStatus("Connect Google first.");
@@ -1727,7 +5419,9 @@ export default function App() {
 
   const handleSelectRecentSheet = useCallback(
     (id) => {
-      const nextUrl = `https://docs.google.com/spreadsheets/d/${id}/edit`;
+      const nextUrl = isLocalSpreadsheetId(id)
+        ? id
+        : `https://docs.google.com/spreadsheets/d/${id}/edit`;
       setSheetRef(nextUrl);
       setStatus(`Selected ${recentSheetNames[id] || "sheet"}. Auto-loading cards...`);
       handleLoadCards({
@@ -1738,8 +5432,231 @@ export default function App() {
     [handleLoadCards, recentSheetNames]
   );
 
+  // Reloading re-joins progress rows by card ID and replays the held-back
+  // answers onto wherever their rows are now.
+  const handleReloadAfterConflict = useCallback(async () => {
+    await handleLoadCards({ deckNames: loadedDeckNames });
+  }, [handleLoadCards, loadedDeckNames]);
+
+  const handleDiscardConflicts = useCallback(() => {
+    const shouldDiscard = window.confirm(
+      `Discard ${syncConflicts.length} held-back progress update(s)? Those answers will not be recorded in the sheet.`
+    );
+    if (!shouldDiscard) {
+      return;
+    }
+    for (const conflict of syncConflicts) {
+      pendingStatsRef.current.delete(conflict.key);
+    }
+    setSyncConflicts([]);
+    refreshPendingCount();
+    setStatus(`Discarded ${syncConflicts.length} held-back progress update(s).`);
+  }, [refreshPendingCount, syncConflicts]);
+
+  // Held-back updates stay queued on this device and are matched again on the
+  // next Load Cards; syncing skips them until then.
+  const handleKeepConflicts = useCallback(() => {
+    setStatus(
+      `${syncConflicts.length} held-back progress update(s) stay on this device until the next Load Cards.`
+    );
+    setSyncConflicts([]);
+  }, [syncConflicts]);
+
+  const handleStudyLocally = useCallback(() => {
+    setLocalMode(true);
+    setAppStage("sheet");
+    setStatus("Studying without Google. Create a local sheet or open one saved on this device.");
+  }, []);
+
+  // Opens the offline copy of a Google sheet. Answers queue as usual and are
+  // synced once Google is connected again; a later Load Cards merges any that
+  // are still waiting.
+  const handleOpenOfflineCopy = useCallback(
+    async (id) => {
+      try {
+        const snapshot = await idbGet(APP_DB_STORES.deckSnapshots, id);
+        if (!snapshot?.cards?.length) {
+          setStatus("There is no offline copy of this sheet on this device.");
+          refreshDeckSnapshots();
+          return;
+        }
+        const restored = restoreSnapshotQueue(
+          await idbGet(APP_DB_STORES.pendingWrites, id),
+          snapshot.cards
+        );
+        const settingsRowsSaved = snapshot.settingsRows ?? [];
+        const deckNames = snapshot.loadedDeckNames ?? [];
+
+        clearPendingAdvance();
+        stopNarration();
+        clearFlushRetry();
+        pendingStatsRef.current = restored.pendingStats;
+        pendingReviewLogRef.current = restored.reviewLog;
+        setSyncConflicts([]);
+        contextRef.current = snapshot.context;
+        setSettingsRows(settingsRowsSaved);
+        setSettingsDraft(null);
+        setClassProgress(null);
+        applyStudySettings(explicitDeckSettings(settingsRowsSaved, deckNames[0] ?? ""));
+        setSelectedDeckNames(deckNames.length > 0 ? deckNames : [""]);
+        setLoadedDeckNames(deckNames);
+        setCards(restored.cards);
+        cardsRef.current = restored.cards;
+        setCardEditor(null);
+        resetRoundState();
+        pickNextQuestion(restored.cards);
+        refreshPendingCount();
+        setSheetRef(id);
+        setLocalMode(true);
+        setAppStage("sheet");
+        setStatus(
+          `Opened the offline copy of ${snapshot.title} saved ${new Date(snapshot.savedAt).toLocaleString()}. Answers sync once you're online and connected to Google.`
+        );
+      } catch (error) {
+        setStatus(error.message);
+      }
+    },
+    [
+      applyStudySettings,
+      clearFlushRetry,
+      clearPendingAdvance,
+      pickNextQuestion,
+      refreshDeckSnapshots,
+      refreshPendingCount,
+      resetRoundState,
+      stopNarration
+    ]
+  );
+
+  const handleDeleteLocalSheet = useCallback(
+    async (id) => {
+      const title = localSheetList.find((sheet) => sheet.spreadsheetId === id)?.title || "local sheet";
+      const shouldDelete = window.confirm(
+        `Delete "${title}" from this device? Its cards and progress are not stored anywhere else.`
+      );
+      if (!shouldDelete) {
+        return;
+      }
+
+      try {
+        await localSheets.deleteSpreadsheet({ spreadsheetId: id });
+        await idbDelete(APP_DB_STORES.pendingWrites, id);
+      } catch (error) {
+        setStatus(error.message);
+        return;
+      }
+
+      if (contextRef.current.spreadsheetId === id) {
+        clearPendingAdvance();
+        stopNarration();
+        releaseMediaUrls();
+        pendingStatsRef.current.clear();
+        pendingReviewLogRef.current = [];
+        setSyncConflicts([]);
+        contextRef.current = {
+          spreadsheetId: "",
+          dataSheets: {},
+          statsSheets: {},
+          reviewLogReady: false,
+          hasSettings: false,
+          learner: ""
+        };
+        refreshPendingCount();
+        setCardEditor(null);
+        setSettingsRows([]);
+        setClassProgress(null);
+        setCards([]);
+        setLoadedDeckNames([]);
+        setCurrentCardId("");
+        setChoices([]);
+        setAnswerState(null);
+        resetRoundState();
+      }
+      if (spreadsheetId === id) {
+        setSheetRef("");
+      }
+      setRecentSheetRefs((previous) => previous.filter((value) => value !== id));
+      refreshLocalSheets();
+      setStatus(`Deleted "${title}" from this device.`);
+    },
+    [
+      clearPendingAdvance,
+      localSheetList,
+      localSheets,
+      refreshLocalSheets,
+      refreshPendingCount,
+      releaseMediaUrls,
+      resetRoundState,
+      spreadsheetId,
+      stopNarration
+    ]
+  );
+
+  // Copies every tab of the selected local sheet into a new Google spreadsheet
+  // and switches over to it. The local copy stays on this device.
+  const handlePushLocalSheet = useCallback(async () => {
+    if (!accessToken) {
+      setStatus("Connect Google first.");
+      return;
+    }
+    if (!isLocalSpreadsheetId(spreadsheetId)) {
+      setStatus("Select a local sheet first.");
+      return;
+    }
+
+    try {
+      setIsPushingSheet(true);
+      if (contextRef.current.spreadsheetId === spreadsheetId) {
+        await flushPending(true);
+      }
+      const metadata = await sheetsClient.getSpreadsheet({ spreadsheetId });
+      const title = String(metadata.properties?.title || "").trim() || "Sheet Cards";
+      const tabs = await localSheets.readAllTabs({ spreadsheetId });
+      setStatus(`Copying ${title} to Google Sheets...`);
+
+      const created = await sheetsClient.createSpreadsheet({ title });
+      const createdTitles = new Set(
+        (created.sheets ?? []).map((sheet) => sheet.properties?.title).filter(Boolean)
+      );
+      const missingTabs = tabs.filter((tab) => !createdTitles.has(tab.title));
+      if (missingTabs.length > 0) {
+        await sheetsClient.spreadsheetBatchUpdate({
+          spreadsheetId: created.spreadsheetId,
+          requests: missingTabs.map((tab) => ({ addSheet: { properties: { title: tab.title } } }))
+        });
+      }
+      // Appending grows the new tabs past their default grid size.
+      for (const tab of tabs) {
+        if (tab.rows.length === 0) continue;
+        await sheetsClient.appendValues({
+          spreadsheetId: created.spreadsheetId,
+          range: makeRange(tab.title, "A1"),
+          values: tab.rows
+        });
+      }
+
+      const createdRef = createdSheetRef(created);
+      setSheetRef(createdRef);
+      rememberSheetRef(createdRef, title);
+      await handleLoadCards({ sheetRef: createdRef, spreadsheetId: created.spreadsheetId });
+      setStatus((prev) => `Pushed ${title} to Google Sheets; the local copy is unchanged. ${prev}`);
+    } catch (error) {
+      setStatus(error.message);
+    } finally {
+      setIsPushingSheet(false);
+    }
+  }, [
+    accessToken,
+    flushPending,
+    handleLoadCards,
+    localSheets,
+    rememberSheetRef,
+    sheetsClient,
+    spreadsheetId
+  ]);
+
   const handleUnloadCards = useCallback(async () => {
-    if (pendingWrites > 0) {
+    if (hasPendingSync) {
       const shouldSync = window.confirm(
         "You have pending updates. Sync before unloading cards?"
       );
@@ -1751,13 +5668,14 @@ export default function App() {
     clearPendingAdvance();
     stopNarration();
     setCards([]);
+    setLoadedDeckNames([]);
     setCurrentCardId("");
     setChoices([]);
     setAnswerState(null);
     resetRoundState();
     setAppStage("sheet");
     setStatus("Cards unloaded. Load a sheet to study again.");
-  }, [clearPendingAdvance, flushPending, pendingWrites, resetRoundState, stopNarration]);
+  }, [clearPendingAdvance, flushPending, hasPendingSync, resetRoundState, stopNarration]);
 
   const goToQueuedNextCard = useCallback(() => {
     const queued = pendingNextRef.current;
@@ -1766,16 +5684,162 @@ export default function App() {
     pickNextQuestion(queued.cards, queued.previousCardId);
   }, [clearPendingAdvance, pickNextQuestion]);
 
-  const handleStartStudyRound = useCallback(() => {
-    if (cards.length === 0) {
-      setStatus("Load cards first.");
+  const startStudyRound = useCallback(
+    (filters) => {
+      if (cards.length === 0) {
+        setStatus("Load cards first.");
+        return false;
+      }
+      const isFiltered = hasRoundFilters(filters);
+      const roundCards = selectRoundCards(cards, filters, studyMode);
+      if (roundCards.length === 0) {
+        setStatus(
+          isFiltered
+            ? "No loaded cards match the round setup. Loosen the filters and try again."
+            : "Every loaded card is suspended or buried. Restore some from Stats to study."
+        );
+        return false;
+      }
+      resetRoundState();
+      if (isFiltered) {
+        const ids = new Set(roundCards.map((card) => card.cardId));
+        roundCardIdsRef.current = ids;
+        setRoundCardIds(ids);
+      }
+      pickNextQuestion(cards);
+      setAppStage("study");
+      setStatus(
+        roundCards.length === cards.length
+          ? "Study round started."
+          : `Study round started with ${roundCards.length} of ${cards.length} cards.`
+      );
+      return true;
+    },
+    [cards, pickNextQuestion, resetRoundState, studyMode]
+  );
+
+  const handleStartStudyRound = useCallback(() => {
+    startStudyRound(activeRoundFilters);
+  }, [activeRoundFilters, startStudyRound]);
+
+  // Keeps the URL in step with the stage and study options. Moving between
+  // stages adds a history entry so Back works; option changes replace it.
+  useEffect(() => {
+    const nextHash = buildAppRoute({
+      stage: appStage,
+      spreadsheetId,
+      studyMode,
+      tag: activeRoundFilters.includeTags,
+      advance: autoAdvanceMode === "manual" ? "manual" : autoAdvanceMs
+    });
+    const isFirstSync = !hasSyncedRouteRef.current;
+    hasSyncedRouteRef.current = true;
+    if (window.location.hash === nextHash) return;
+    const currentStage = readAppRoute(window.location.hash).stage;
+    const url = `${window.location.pathname}${window.location.search}${nextHash}`;
+    if (!isFirstSync && currentStage && currentStage !== appStage) {
+      window.history.pushState(null, "", url);
+    } else {
+      window.history.replaceState(null, "", url);
+    }
+  }, [
+    activeRoundFilters.includeTags,
+    appStage,
+    autoAdvanceMode,
+    autoAdvanceMs,
+    spreadsheetId,
+    studyMode
+  ]);
+
+  useEffect(() => {
+    const onPopState = () => {
+      const { stage } = readAppRoute(window.location.hash);
+      if (stage) setAppStage(stage);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  useEffect(() => {
+    if (pendingLink?.phase !== "load") return;
+    if (!accessToken && !localMode) return;
+    if (!canReachSpreadsheet(pendingLink.spreadsheetId, accessToken)) return;
+
+    setPendingLink({ ...pendingLink, phase: "loading" });
+    (async () => {
+      setSheetRef(pendingLink.spreadsheetId);
+      await handleLoadCards({
+        sheetRef: pendingLink.spreadsheetId,
+        spreadsheetId: pendingLink.spreadsheetId
+      });
+      // Options in the link win over the deck's own settings.
+      if (pendingLink.studyMode) setStudyMode(pendingLink.studyMode);
+      if (pendingLink.advance === "manual") {
+        setAutoAdvanceMode("manual");
+      } else if (pendingLink.advance !== "") {
+        setAutoAdvanceMode("delay");
+        setAutoAdvanceMs(pendingLink.advance);
+      }
+      setPendingLink((previous) => previous && { ...previous, phase: "open" });
+    })();
+  }, [accessToken, handleLoadCards, localMode, pendingLink]);
+
+  // Runs a render after the load so the round starts with the new cards and
+  // the link's options.
+  useEffect(() => {
+    if (pendingLink?.phase !== "open") return;
+    setPendingLink(null);
+    if (cards.length === 0 || contextRef.current.spreadsheetId !== pendingLink.spreadsheetId) return;
+    if (pendingLink.stage === "study") {
+      startStudyRound(activeRoundFilters);
+    } else if (pendingLink.stage !== "sheet") {
+      setAppStage(pendingLink.stage);
+    }
+  }, [activeRoundFilters, cards.length, pendingLink, startStudyRound]);
+
+  const openRoundSetup = useCallback(() => {
+    setRoundDraft(activeRoundFilters);
+    setRoundPresetName("");
+  }, [activeRoundFilters]);
+
+  const updateRoundDraft = useCallback((field, value) => {
+    setRoundDraft((prev) => (prev ? { ...prev, [field]: value } : prev));
+  }, []);
+
+  const handleStartRoundFromSetup = useCallback(() => {
+    if (!roundDraft) return;
+    const filters = normalizeRoundFilters(roundDraft);
+    setRoundFilters(filters);
+    setLinkedRoundFilters(null);
+    if (startStudyRound(filters)) {
+      setRoundDraft(null);
+    }
+  }, [roundDraft, startStudyRound]);
+
+  const handleSaveRoundPreset = useCallback(() => {
+    const name = roundPresetName.trim();
+    if (!roundDraft || !name) {
+      setStatus("Name the preset before saving it.");
       return;
     }
-    resetRoundState();
-    pickNextQuestion(cards);
-    setAppStage("study");
-    setStatus("Study round started.");
-  }, [cards, pickNextQuestion, resetRoundState]);
+    if (roundPresets[name] && !window.confirm(`Replace the saved preset "${name}"?`)) {
+      return;
+    }
+    setRoundPresets((prev) => ({ ...prev, [name]: normalizeRoundFilters(roundDraft) }));
+    setRoundPresetName("");
+    setStatus(`Saved round preset "${name}".`);
+  }, [roundDraft, roundPresetName, roundPresets]);
+
+  const handleDeleteRoundPreset = useCallback((name) => {
+    if (!window.confirm(`Delete the saved preset "${name}"?`)) {
+      return;
+    }
+    setRoundPresets((prev) => {
+      const next = { ...prev };
+      delete next[name];
+      return next;
+    });
+  }, []);
 
   const handleOpenSheet = useCallback(() => {
     if (!spreadsheetEditUrl) {
@@ -1791,162 +5855,1029 @@ export default function App() {
 
   const handleCopyCsvPrompt = useCallback(async () => {
     try {
-      if (navigator.clipboard?.writeText) {
-        await navigator.clipboard.writeText(csvPromptText);
-      } else {
-        const temp = document.createElement("textarea");
-        temp.value = csvPromptText;
-        temp.setAttribute("readonly", "true");
-        temp.style.position = "fixed";
-        temp.style.top = "-9999px";
-        document.body.appendChild(temp);
-        temp.select();
-        document.execCommand("copy");
-        document.body.removeChild(temp);
-      }
+      await copyText(csvPromptText);
       setStatus("Prompt copied. Paste it into ChatGPT and run it.");
     } catch {
       setStatus("Copy failed. Select the prompt text and copy manually.");
     }
   }, [csvPromptText]);
 
+  const handleCopyStudyLink = useCallback(async () => {
+    const link = new URL(window.location.href);
+    link.hash = buildAppRoute({
+      ...readAppRoute(window.location.hash),
+      stage: "study"
+    });
+    try {
+      await copyText(link.toString());
+      setStatus("Study link copied. It opens this sheet and starts a round after sign-in.");
+    } catch {
+      setStatus("Copy failed. Copy the address bar instead.");
+    }
+  }, []);
+
+  // Appends imported card values below the last row of a Card Data tab, in the
+  // tab's own column order. Returns an error message instead of throwing when
+  // the tab lacks the question/answer columns.
+  const appendCardsToDeck = useCallback(
+    async (targetSpreadsheetId, dataTitle, cardValues) => {
+      const headerResponse = await sheetsClient.getValues({
+        spreadsheetId: targetSpreadsheetId,
+        range: makeRange(dataTitle, "1:1")
+      });
+      let headerRow = headerResponse.values?.[0] ?? [];
+      if (headerRow.length === 0) {
+        await sheetsClient.batchUpdate({
+          spreadsheetId: targetSpreadsheetId,
+          data: [templateHeaderRange(dataTitle, CARD_SHEET_HEADERS)]
+        });
+        headerRow = CARD_SHEET_HEADERS;
+      }
+      const colByName = buildAliasedColumnMap(headerRow, CARD_COLUMN_ALIASES);
+      if (!Number.isInteger(colByName.front) || !Number.isInteger(colByName.back)) {
+        return `${dataTitle} is missing required columns: question, answer. Click "Initialize Sheet Template".`;
+      }
+
+      await sheetsClient.appendValues({
+        spreadsheetId: targetSpreadsheetId,
+        range: makeRange(dataTitle, "A1"),
+        values: cardValues.map((values) =>
+          buildCardDataRow(colByName, { ...values, cardId: createCardId() })
+        )
+      });
+      return "";
+    },
+    [sheetsClient]
+  );
+
+  const handleExport = useCallback(
+    (format) => {
+      if (cards.length === 0) {
+        setStatus("Load cards first.");
+        return;
+      }
+      const baseName = `sheet-cards-${new Date().toISOString().slice(0, 10)}`;
+      if (format === "csv") {
+        // The byte order mark makes Excel read the file as UTF-8.
+        downloadTextFile(`${baseName}.csv`, `\uFEFF${buildCsvExport(cards)}`, "text/csv;charset=utf-8");
+      } else if (format === "json") {
+        downloadTextFile(
+          `${baseName}.json`,
+          buildJsonExport(cards, { spreadsheetId: contextRef.current.spreadsheetId }),
+          "application/json"
+        );
+      } else {
+        downloadTextFile(`${baseName}-anki.txt`, buildAnkiExport(cards), "text/plain;charset=utf-8");
+      }
+      const formatLabel = format === "anki" ? "an Anki text file" : format.toUpperCase();
+      setStatus(`Exported ${cards.length} card(s) as ${formatLabel}.`);
+    },
+    [cards]
+  );
+
+  const handleImportCards = useCallback(async () => {
+    if (!canReachSpreadsheet(spreadsheetId, accessToken)) {
+      setStatus("Connect Google first.");
+      return;
+    }
+    if (!spreadsheetId) {
+      setStatus("Invalid sheet URL or spreadsheet ID.");
+      return;
+    }
+    if (!importDeck) {
+      setStatus(
+        `Sheet tabs are missing. Click "Initialize Sheet Template" to create ${CARD_DATA_SHEET} and ${CARD_STATS_SHEET}.`
+      );
+      return;
+    }
+    const validRows = importPreview.rows.filter((row) => row.errors.length === 0);
+    if (validRows.length === 0) {
+      setStatus("No importable rows. Fix the flagged rows and try again.");
+      return;
+    }
+
+    try {
+      setIsImporting(true);
+      const appendError = await appendCardsToDeck(
+        spreadsheetId,
+        importDeck.dataTitle,
+        validRows.map((row) => row.values)
+      );
+      if (appendError) {
+        setStatus(appendError);
+        return;
+      }
+      setImportText("");
+
+      const skippedCount = importPreview.rows.length - validRows.length;
+      const importSummary = `Imported ${validRows.length} card(s) into ${importDeck.dataTitle}${
+        skippedCount > 0 ? `, skipped ${skippedCount} flagged row(s)` : ""
+      }.`;
+      setStatus(`${importSummary} Reloading cards...`);
+      await handleLoadCards({
+        deckNames: [...new Set([...loadedDeckNames, importDeck.name])]
+      });
+      setStatus((prev) => `${importSummary} ${prev}`);
+    } catch (error) {
+      setStatus(error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  }, [
+    accessToken,
+    appendCardsToDeck,
+    handleLoadCards,
+    importDeck,
+    importPreview,
+    loadedDeckNames,
+    spreadsheetId
+  ]);
+
+  const handleAnkiFileChange = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      setIsImporting(true);
+      setStatus(`Reading ${file.name}...`);
+      const rows = await readAnkiPackage(file);
+      const deckName = file.name.replace(/\.(apkg|colpkg)$/i, "").trim();
+      setAnkiImport({ fileName: file.name, rows });
+      setExternalTargetName((previous) => previous || deckName);
+      setStatus(`Read ${rows.length} note(s) from ${file.name}. Check the preview, then import.`);
+    } catch (error) {
+      setAnkiImport(null);
+      setStatus(`Could not read ${file.name}: ${error.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  }, []);
+
+  const handleExternalImport = useCallback(async () => {
+    if (externalTarget !== "new_sheet" && !canReachSpreadsheet(spreadsheetId, accessToken)) {
+      setStatus("Connect Google first.");
+      return;
+    }
+    const validRows = externalPreviewRows.filter((row) => row.errors.length === 0);
+    if (validRows.length === 0) {
+      setStatus("No importable rows. Fix the flagged rows and try again.");
+      return;
+    }
+    const targetName = String(externalTargetName || "").replace(/\s+/g, " ").trim();
+    if (externalTarget !== "existing" && !targetName) {
+      setStatus(externalTarget === "new_sheet" ? "Enter a spreadsheet name first." : "Enter a deck name first.");
+      return;
+    }
+    if (externalTarget !== "new_sheet" && !spreadsheetId) {
+      setStatus("Invalid sheet URL or spreadsheet ID.");
+      return;
+    }
+    if (externalTarget === "existing" && !importDeck) {
+      setStatus(
+        `Sheet tabs are missing. Click "Initialize Sheet Template" to create ${CARD_DATA_SHEET} and ${CARD_STATS_SHEET}.`
+      );
+      return;
+    }
+    if (
+      externalTarget === "new_deck" &&
+      availableDecks.some((deck) => deck.name.toLowerCase() === targetName.toLowerCase())
+    ) {
+      setStatus(`Deck "${targetName}" already exists.`);
+      return;
+    }
+
+    try {
+      setIsImporting(true);
+      let targetSpreadsheetId = spreadsheetId;
+      let targetSheetUrl = "";
+      let deckName = importDeck?.name ?? "";
+      if (externalTarget === "new_sheet") {
+        setStatus(`Creating spreadsheet ${targetName}...`);
+        const created = await sheetsClient.createSpreadsheet({
+          title: targetName,
+          local: !accessToken || isLocalSpreadsheetId(spreadsheetId)
+        });
+        targetSpreadsheetId = created.spreadsheetId;
+        targetSheetUrl = createdSheetRef(created);
+        if (isLocalSpreadsheetId(targetSpreadsheetId)) {
+          refreshLocalSheets();
+        }
+        await sheetsClient.batchUpdate({
+          spreadsheetId: targetSpreadsheetId,
+          data: [
+            templateHeaderRange(CARD_DATA_SHEET, CARD_SHEET_HEADERS),
+            templateHeaderRange(CARD_STATS_SHEET, STATS_TEMPLATE_HEADERS)
+          ]
+        });
+        deckName = "";
+      } else if (externalTarget === "new_deck") {
+        setStatus(`Creating deck ${targetName}...`);
+        await createDeckTabs(spreadsheetId, targetName);
+        deckName = targetName;
+      }
+
+      const appendError = await appendCardsToDeck(
+        targetSpreadsheetId,
+        deckDataTitle(deckName),
+        validRows.map((row) => row.values)
+      );
+      if (appendError) {
+        setStatus(appendError);
+        return;
+      }
+      setAnkiImport(null);
+      setQuizletText("");
+      setExternalTargetName("");
+
+      const skippedCount = externalPreviewRows.length - validRows.length;
+      const importSummary = `Imported ${validRows.length} card(s) into ${
+        targetSheetUrl ? targetName : deckDataTitle(deckName)
+      }${skippedCount > 0 ? `, skipped ${skippedCount} flagged row(s)` : ""}.`;
+      setStatus(`${importSummary} Reloading cards...`);
+      if (targetSheetUrl) {
+        setSheetRef(targetSheetUrl);
+        rememberSheetRef(targetSheetUrl, targetName);
+        await handleLoadCards({ sheetRef: targetSheetUrl, deckNames: [""] });
+      } else {
+        await handleLoadCards({
+          deckNames: [...new Set([...loadedDeckNames, deckName])]
+        });
+      }
+      setStatus((prev) => `${importSummary} ${prev}`);
+    } catch (error) {
+      setStatus(error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  }, [
+    accessToken,
+    appendCardsToDeck,
+    availableDecks,
+    createDeckTabs,
+    externalPreviewRows,
+    externalTarget,
+    externalTargetName,
+    handleLoadCards,
+    importDeck,
+    loadedDeckNames,
+    refreshLocalSheets,
+    rememberSheetRef,
+    sheetsClient,
+    spreadsheetId
+  ]);
+
+  // Remembers the first answer given for the current card plus every wrong pick,
+  // so the Review Log row can describe the whole attempt.
+  const recordAttemptChoice = useCallback((choice, isWrong) => {
+    const attempt = attemptRef.current;
+    if (attempt.firstResponseMs == null) {
+      attempt.firstChoice = choice;
+      attempt.firstResponseMs = attempt.shownAt ? Date.now() - attempt.shownAt : null;
+    }
+    if (isWrong) {
+      attempt.wrongSelections.push(choice);
+    }
+  }, []);
+
+  const completeCurrentCard = useCallback(
+    (hadMistake, grade = hadMistake ? "again" : "good", feedback = {}) => {
+      if (!currentCard) return;
+      const correctAnswer = answerFor(currentCard, currentDirection);
+      const now = new Date().toISOString();
+      const attempt = attemptRef.current;
+      queueReviewLog({
+        timestamp: now,
+        deck: deckLabel(currentCard.deckName),
+        cardId: currentCard.cardId,
+        question: promptFor(currentCard, currentDirection),
+        answer: correctAnswer,
+        direction: currentDirection,
+        answerMode,
+        chosen: attempt.firstChoice,
+        result: hadMistake ? "wrong" : feedback.closeEnough ? "close" : "correct",
+        wrongSelections: [...attempt.wrongSelections],
+        choiceCount: answerMode === "typed" ? 0 : choices.length,
+        responseMs: attempt.firstResponseMs,
+        learner: contextRef.current.learner
+      });
+      const updatedCard = {
+        ...currentCard,
+        seenCount: currentCard.seenCount + 1,
+        correctCount: currentCard.correctCount + (hadMistake ? 0 : 1),
+        wrongCount: currentCard.wrongCount + (hadMistake ? 1 : 0),
+        streak: hadMistake ? 0 : currentCard.streak + 1,
+        lapses: currentCard.lapses + (hadMistake && currentCard.streak > 0 ? 1 : 0),
+        lastSeenAt: now,
+        lastResult: hadMistake ? "wrong" : "correct",
+        // Answering a card whose bury has run out makes it active again.
+        ...(currentCard.cardStatus === "buried" ? { cardStatus: "", buriedUntil: "" } : {}),
+        ...scheduleReview(currentCard, grade),
+        ...recordResponseTime(currentCard, attempt.firstResponseMs)
+      };
+      const deckSettings = settingsForDeck(currentCard.deckName);
+      updatedCard.mastery = computeMastery(updatedCard, deckSettings);
+      updatedCard.directionStats = {
+        ...currentCard.directionStats,
+        [currentDirection]: applyDirectionResult(
+          currentCard.directionStats?.[currentDirection],
+          hadMistake,
+          grade,
+          updatedCard.avgResponseMs,
+          deckSettings
+        )
+      };
+
+      const updatedCards = cards.map((card) =>
+        card.cardId === updatedCard.cardId ? updatedCard : card
+      );
+      setCards(updatedCards);
+      queueStatUpdate(updatedCard);
+
+      const nextAnswers = sessionAnswers + 1;
+      const nextCorrect = sessionCorrect + (hadMistake ? 0 : 1);
+      setSessionAnswers(nextAnswers);
+      setSessionCorrect(nextCorrect);
+      if (hadMistake) {
+        setSessionWrongCards((prev) => prev + 1);
+      }
+      setAnswerState({
+        isCorrect: !hadMistake,
+        completedWithMistake: hadMistake,
+        expected: correctAnswer,
+        requiresCorrection: false,
+        ...feedback
+      });
+      if (autoReadQuestion) {
+        speakSequence([
+          {
+            target: "answer",
+            text: correctAnswer,
+            audio: answerAudioFor(currentCard, currentDirection)
+          }
+        ]);
+      }
+
+      if (!roundCompletedRef.current.has(updatedCard.cardId)) {
+        roundCompletedRef.current.add(updatedCard.cardId);
+        setRoundCompletedCount(roundCompletedRef.current.size);
+      }
+
+      if (nextAnswers % 10 === 0 || isLocalSpreadsheetId(contextRef.current.spreadsheetId)) {
+        flushPending(true);
+      }
+      const completedRound = studyableRoundCards(updatedCards, roundCardIdsRef.current).every(
+        (card) => roundCompletedRef.current.has(card.cardId)
+      );
+      if (completedRound) {
+        clearPendingAdvance();
+        stopNarration();
+        pendingNextRef.current = null;
+        setAwaitingManualNext(false);
+        setAppStage("summary");
+        setStatus("Round complete. Review Round Stats and start the next round.");
+        return;
+      }
+
+      pendingNextRef.current = {
+        cards: updatedCards,
+        previousCardId: currentCard.cardId
+      };
+
+      if (autoAdvanceMode === "manual") {
+        setAwaitingManualNext(true);
+        return;
+      }
+
+      nextAdvanceTimerRef.current = window.setTimeout(() => {
+        goToQueuedNextCard();
+      }, autoAdvanceMs);
+    },
+    [
+      answerAudioFor,
+      answerFor,
+      answerMode,
+      autoAdvanceMode,
+      autoAdvanceMs,
+      autoReadQuestion,
+      cards,
+      choices.length,
+      clearPendingAdvance,
+      currentDirection,
+      currentCard,
+      flushPending,
+      goToQueuedNextCard,
+      promptFor,
+      queueReviewLog,
+      queueStatUpdate,
+      settingsForDeck,
+      speakSequence,
+      stopNarration,
+      sessionAnswers,
+      sessionCorrect
+    ]
+  );
+
   const handleAnswer = useCallback(
     (choice) => {
       if (!currentCard) return;
       const correctAnswer = answerFor(currentCard, currentDirection);
-      const applyCardCompletion = (cardsSnapshot, hadMistake) => {
-        const now = new Date().toISOString();
-        const updatedCard = {
-          ...currentCard,
-          seenCount: currentCard.seenCount + 1,
-          correctCount: currentCard.correctCount + (hadMistake ? 0 : 1),
-          wrongCount: currentCard.wrongCount + (hadMistake ? 1 : 0),
-          streak: hadMistake ? 0 : currentCard.streak + 1,
-          lastSeenAt: now,
-          lastResult: hadMistake ? "wrong" : "correct"
-        };
-        updatedCard.mastery = computeMastery(updatedCard);
 
-        const updatedCards = cardsSnapshot.map((card) =>
-          card.cardId === updatedCard.cardId ? updatedCard : card
-        );
-        setCards(updatedCards);
-        queueStatUpdate(updatedCard);
-
-        const nextAnswers = sessionAnswers + 1;
-        const nextCorrect = sessionCorrect + (hadMistake ? 0 : 1);
-        setSessionAnswers(nextAnswers);
-        setSessionCorrect(nextCorrect);
-        if (hadMistake) {
-          setSessionWrongCards((prev) => prev + 1);
+      if (answerState?.requiresCorrection) {
+        if (choice !== correctAnswer) {
+          return;
         }
+        completeCurrentCard(true);
+        return;
+      }
+
+      if (answerState) {
+        return;
+      }
+
+      recordAttemptChoice(choice, choice !== correctAnswer);
+      if (choice !== correctAnswer) {
+        setSessionWrongSelections((prev) => prev + 1);
         setAnswerState({
-          isCorrect: !hadMistake,
-          completedWithMistake: hadMistake,
+          isCorrect: false,
           expected: correctAnswer,
-          requiresCorrection: false
+          requiresCorrection: true,
+          wrongChoice: choice,
+          completedWithMistake: true
         });
-        if (autoReadQuestion) {
-          speakSequence([
-            {
-              target: "answer",
-              text: correctAnswer
-            }
-          ]);
+        return;
+      }
+
+      completeCurrentCard(false);
+    },
+    [answerState, answerFor, completeCurrentCard, currentCard, currentDirection, recordAttemptChoice]
+  );
+
+  const handleTypedAnswerSubmit = useCallback(
+    (event) => {
+      event.preventDefault();
+      if (!currentCard) return;
+      const correctAnswer = answerFor(currentCard, currentDirection);
+      const grade = gradeTypedAnswer(typedAnswer, correctAnswer);
+
+      if (answerState?.requiresCorrection) {
+        if (grade === "wrong") {
+          return;
         }
+        completeCurrentCard(true);
+        return;
+      }
+
+      if (answerState || !typedAnswer.trim()) {
+        return;
+      }
+
+      recordAttemptChoice(typedAnswer.trim(), grade === "wrong");
+      if (grade === "correct") {
+        completeCurrentCard(false);
+        return;
+      }
+
+      if (grade === "close") {
+        setAnswerState({
+          isCorrect: false,
+          expected: correctAnswer,
+          requiresConfirmation: true,
+          typedChoice: typedAnswer.trim()
+        });
+        return;
+      }
+
+      setSessionWrongSelections((prev) => prev + 1);
+      setTypedAnswer("");
+      setAnswerState({
+        isCorrect: false,
+        expected: correctAnswer,
+        requiresCorrection: true,
+        wrongChoice: typedAnswer.trim(),
+        completedWithMistake: true
+      });
+    },
+    [
+      answerFor,
+      answerState,
+      completeCurrentCard,
+      currentCard,
+      currentDirection,
+      recordAttemptChoice,
+      typedAnswer
+    ]
+  );
+
+  const handleConfirmCloseAnswer = useCallback(
+    (accepted) => {
+      if (!answerState?.requiresConfirmation) return;
+      if (accepted) {
+        completeCurrentCard(false, "hard", { closeEnough: true });
+        return;
+      }
+      recordAttemptChoice(answerState.typedChoice, true);
+      setSessionWrongSelections((prev) => prev + 1);
+      completeCurrentCard(true);
+    },
+    [answerState, completeCurrentCard, recordAttemptChoice]
+  );
+
+  // Suspends, buries ("suspended" / "buried") or restores ("") a card. The
+  // status is written to the card's progress row like any other stat.
+  const handleSetCardStatus = useCallback(
+    (cardId, cardStatus) => {
+      const card = cards.find((item) => item.cardId === cardId);
+      if (!card) return;
+      const changes = {
+        cardStatus,
+        buriedUntil: cardStatus === "buried" ? startOfNextDay() : ""
+      };
+      const updatedCard = { ...card, ...changes };
+      const applyStatus = (list) =>
+        list.map((item) => (item.cardId === cardId ? { ...item, ...changes } : item));
+      updateLoadedCards(applyStatus);
+      queueStatUpdate(updatedCard);
+      flushPending(true);
+
+      if (cardStatus && roundCompletedRef.current.delete(cardId)) {
+        setRoundCompletedCount(roundCompletedRef.current.size);
+      }
+      const label = card.sourceFront ?? card.front;
+      setStatus(
+        cardStatus === "suspended"
+          ? `Suspended "${label}". Restore it from Stats to study it again.`
+          : cardStatus === "buried"
+            ? `Buried "${label}" until tomorrow.`
+            : `Restored "${label}".`
+      );
+
+      if (!cardStatus || cardId !== currentCardId || appStage !== "study") return;
+      const nextCards = applyStatus(cards);
+      const roundLeft = studyableRoundCards(nextCards, roundCardIdsRef.current).some(
+        (item) => !roundCompletedRef.current.has(item.cardId)
+      );
+      clearPendingAdvance();
+      if (!roundLeft) {
+        stopNarration();
+        setAppStage("summary");
+        return;
+      }
+      pickNextQuestion(nextCards, cardId);
+    },
+    [
+      appStage,
+      cards,
+      clearPendingAdvance,
+      currentCardId,
+      flushPending,
+      pickNextQuestion,
+      queueStatUpdate,
+      stopNarration,
+      updateLoadedCards
+    ]
+  );
 
-        if (!roundCompletedRef.current.has(updatedCard.cardId)) {
-          roundCompletedRef.current.add(updatedCard.cardId);
-          setRoundCompletedCount(roundCompletedRef.current.size);
-        }
+  const openCardEditor = useCallback(
+    (cardId) => {
+      const card = cards.find((item) => item.cardId === cardId);
+      if (!card) return;
+      setCardEditor({
+        mode: "edit",
+        cardId: card.cardId,
+        deckName: card.deckName,
+        front: card.sourceFront ?? card.front,
+        back: card.sourceBack ?? card.back,
+        romanization: card.romanization,
+        tags: card.tags.join(", "),
+        questionExplanation: card.questionExplanation,
+        answerExplanation: card.answerExplanation,
+        questionImage: card.questionImage,
+        answerImage: card.answerImage,
+        audio: card.audio
+      });
+    },
+    [cards]
+  );
 
-        if (nextAnswers % 10 === 0) {
-          flushPending(true);
-        }
-        const completedRound = roundCompletedRef.current.size >= updatedCards.length;
-        if (completedRound) {
-          clearPendingAdvance();
-          stopNarration();
-          pendingNextRef.current = null;
-          setAwaitingManualNext(false);
-          setAppStage("summary");
-          setStatus("Round complete. Review Round Stats and start the next round.");
-          return;
-        }
+  const openNewCardEditor = useCallback(() => {
+    setCardEditor({
+      mode: "add",
+      cardId: "",
+      deckName: currentCard?.deckName ?? loadedDeckNames[0] ?? "",
+      front: "",
+      back: "",
+      romanization: "",
+      tags: "",
+      questionExplanation: "",
+      answerExplanation: "",
+      questionImage: "",
+      answerImage: "",
+      audio: ""
+    });
+  }, [currentCard, loadedDeckNames]);
 
-        pendingNextRef.current = {
-          cards: updatedCards,
-          previousCardId: currentCard.cardId
-        };
+  const handleCardEditorChange = useCallback((field, value) => {
+    setCardEditor((prev) => (prev ? { ...prev, [field]: value } : prev));
+  }, []);
 
-        if (autoAdvanceMode === "manual") {
-          setAwaitingManualNext(true);
-          return;
-        }
+  // Choosing a file through the Picker is what lets the `drive.file` scope
+  // download it, so Drive media has to be picked rather than pasted.
+  const handlePickMediaFromDrive = useCallback(
+    (field, media) => {
+      if (!accessToken) {
+        setStatus("Connect Google first.");
+        return;
+      }
+      if (!pickerReady || !isPickerConfigured || !window.google?.picker) {
+        setStatus("Google Picker is unavailable right now. Use a public URL instead.");
+        return;
+      }
 
-        nextAdvanceTimerRef.current = window.setTimeout(() => {
-          goToQueuedNextCard();
-        }, autoAdvanceMs);
-      };
+      try {
+        const view = new window.google.picker.DocsView(window.google.picker.ViewId.DOCS);
+        view.setMimeTypes(MEDIA_PICKER_MIME_TYPES[media]);
+        view.setIncludeFolders(false);
+        view.setSelectFolderEnabled(false);
+
+        const picker = new window.google.picker.PickerBuilder()
+          .setOAuthToken(accessToken)
+          .setDeveloperKey(googleApiKey)
+          .setAppId(googleCloudProjectNumber)
+          .setTitle(media === "audio" ? "Select an audio file" : "Select an image")
+          .addView(view)
+          .setCallback((data) => {
+            if (
+              data[window.google.picker.Response.ACTION] !==
+              window.google.picker.Action.PICKED
+            ) {
+              return;
+            }
+            const doc = (data[window.google.picker.Response.DOCUMENTS] || [])[0] || {};
+            const selectedId = String(doc[window.google.picker.Document.ID] || "").trim();
+            if (!selectedId) {
+              setStatus("Picker selection did not return a file ID.");
+              return;
+            }
+            handleCardEditorChange(field, selectedId);
+          })
+          .build();
 
-      if (answerState?.requiresCorrection) {
-        if (choice !== correctAnswer) {
-          return;
-        }
-        applyCardCompletion(cards, true);
+        picker.setVisible(true);
+      } catch (error) {
+        setStatus(`Google Picker failed to open: ${error.message}`);
+      }
+    },
+    [
+      accessToken,
+      googleApiKey,
+      googleCloudProjectNumber,
+      handleCardEditorChange,
+      isPickerConfigured,
+      pickerReady
+    ]
+  );
+
+  const handleSaveCard = useCallback(
+    async (event) => {
+      event.preventDefault();
+      if (!cardEditor) return;
+      if (!canReachSpreadsheet(contextRef.current.spreadsheetId, accessToken)) {
+        setStatus("Connect Google first.");
         return;
       }
 
-      if (answerState) {
+      const content = {
+        front: cardEditor.front.trim(),
+        back: cardEditor.back.trim(),
+        romanization: cardEditor.romanization.trim(),
+        tags: parseTags(cardEditor.tags),
+        questionExplanation: cardEditor.questionExplanation.trim(),
+        answerExplanation: cardEditor.answerExplanation.trim(),
+        questionImage: cardEditor.questionImage.trim(),
+        answerImage: cardEditor.answerImage.trim(),
+        audio: cardEditor.audio.trim()
+      };
+      if (!content.front || (!content.back && !hasCloze(content.front))) {
+        setStatus("A card needs both a question and an answer, or cloze blanks like {{c1::word}}.");
         return;
       }
 
-      if (choice !== correctAnswer) {
-        setSessionWrongSelections((prev) => prev + 1);
-        setAnswerState({
-          isCorrect: false,
-          expected: correctAnswer,
-          requiresCorrection: true,
-          wrongChoice: choice,
-          completedWithMistake: true
-        });
+      const { spreadsheetId, dataSheets, statsSheets } = contextRef.current;
+      const dataSheet = dataSheets[deckDataTitle(cardEditor.deckName)];
+      const statsSheet =
+        statsSheets[
+          learnerStatsTitle(deckStatsTitle(cardEditor.deckName), contextRef.current.learner)
+        ];
+      if (!spreadsheetId || !dataSheet || !statsSheet) {
+        setStatus("Load the deck before editing its cards.");
         return;
       }
 
-      applyCardCompletion(cards, false);
+      try {
+        setIsSavingCard(true);
+        const editedCard =
+          cardEditor.mode === "edit"
+            ? cards.find((item) => item.cardId === cardEditor.cardId)
+            : null;
+        if (hasCloze(content.front) || editedCard?.clozeIndex) {
+          // The number of cards a cloze row expands into can change with any
+          // edit, so only the row is written and the decks are reloaded.
+          if (cardEditor.mode === "edit" && !editedCard) {
+            setStatus("That card is no longer loaded.");
+            return;
+          }
+          let contentRowNumber;
+          if (editedCard) {
+            contentRowNumber = await findRowByCardId(
+              sheetsClient,
+              spreadsheetId,
+              dataSheet,
+              editedCard.sourceCardId ?? editedCard.cardId
+            );
+            if (!contentRowNumber) {
+              setStatus(sheetChangedMessage(editedCard, dataSheet.title));
+              return;
+            }
+            await sheetsClient.batchUpdate({
+              spreadsheetId,
+              valueInputOption: "RAW",
+              data: buildCardContentUpdates(dataSheet.title, dataSheet.colByName, contentRowNumber, {
+                ...content,
+                cardId: editedCard.sourceCardId ?? editedCard.cardId
+              })
+            });
+          } else {
+            // Appended after whatever the tab holds now, so rows added since
+            // the deck was loaded are never overwritten.
+            contentRowNumber = appendedRowNumber(
+              await sheetsClient.appendValues({
+                spreadsheetId,
+                range: makeRange(dataSheet.title, "A1"),
+                values: [buildCardDataRow(dataSheet.colByName, { ...content, cardId: createCardId() })]
+              })
+            );
+          }
+          dataSheet.rowCount = Math.max(dataSheet.rowCount, contentRowNumber);
+          setCardEditor(null);
+          const savedMessage = `Saved "${content.front}" to ${dataSheet.title} row ${contentRowNumber}.`;
+          await handleLoadCards({ deckNames: loadedDeckNames });
+          setStatus((prev) => `${savedMessage} ${prev}`);
+          return;
+        }
+        if (cardEditor.mode === "add") {
+          const cardId = createCardId();
+          const stats = createDefaultStats();
+          // Appended after whatever the tabs hold now, so rows added since the
+          // deck was loaded are never overwritten.
+          const contentRowNumber = appendedRowNumber(
+            await sheetsClient.appendValues({
+              spreadsheetId,
+              range: makeRange(dataSheet.title, "A1"),
+              values: [buildCardDataRow(dataSheet.colByName, { ...content, cardId })]
+            })
+          );
+          const statsRowNumber = appendedRowNumber(
+            await sheetsClient.appendValues({
+              spreadsheetId,
+              range: makeRange(statsSheet.title, "A1"),
+              values: [
+                buildStatsRow(statsSheet.colByName, {
+                  ...stats,
+                  front: content.front,
+                  back: content.back,
+                  romanization: content.romanization,
+                  cardId
+                })
+              ]
+            })
+          );
+          dataSheet.rowCount = Math.max(dataSheet.rowCount, contentRowNumber);
+          statsSheet.rowCount = Math.max(statsSheet.rowCount, statsRowNumber);
+
+          const newCard = {
+            deckName: cardEditor.deckName,
+            dataTitle: dataSheet.title,
+            statsTitle: statsSheet.title,
+            contentRowNumber,
+            statsRowNumber,
+            cardId,
+            ...content,
+            ...stats
+          };
+          updateLoadedCards((list) => [...list, newCard]);
+          setStatus(`Added "${content.front}" to ${dataSheet.title} row ${contentRowNumber}.`);
+        } else {
+          const card = editedCard;
+          if (!card) {
+            setStatus("That card is no longer loaded.");
+            return;
+          }
+          const progressText = {
+            front: content.front,
+            back: content.back,
+            romanization: content.romanization
+          };
+          const contentRowNumber = await findRowByCardId(
+            sheetsClient,
+            spreadsheetId,
+            dataSheet,
+            card.cardId
+          );
+          if (!contentRowNumber) {
+            setStatus(sheetChangedMessage(card, dataSheet.title));
+            return;
+          }
+          const statsRowNumber = await findRowByCardId(
+            sheetsClient,
+            spreadsheetId,
+            statsSheet,
+            card.cardId
+          );
+          if (!statsRowNumber) {
+            setStatus(sheetChangedMessage(card, statsSheet.title));
+            return;
+          }
+          await sheetsClient.batchUpdate({
+            spreadsheetId,
+            valueInputOption: "RAW",
+            data: [
+              ...buildCardContentUpdates(
+                dataSheet.title,
+                dataSheet.colByName,
+                contentRowNumber,
+                content
+              ),
+              ...buildCardContentUpdates(
+                statsSheet.title,
+                statsSheet.colByName,
+                statsRowNumber,
+                progressText
+              )
+            ]
+          });
+
+          // A queued progress write may still carry the old text.
+          const pendingKey = pendingKeyFor(card.statsTitle, card.statsRowNumber);
+          const pendingValues = pendingStatsRef.current.get(pendingKey);
+          if (pendingValues?.front != null) {
+            pendingStatsRef.current.set(pendingKey, { ...pendingValues, ...progressText });
+            refreshPendingCount();
+          }
+
+          const updatedCard = { ...card, ...content };
+          updateLoadedCards((list) =>
+            list.map((item) =>
+              item.cardId === card.cardId ? { ...item, ...content, contentRowNumber } : item
+            )
+          );
+          const previousAnswer = answerFor(card, currentDirection);
+          const nextAnswer = answerFor(updatedCard, currentDirection);
+          if (previousAnswer !== nextAnswer) {
+            setChoices((prev) =>
+              prev.map((choice) => (choice === previousAnswer ? nextAnswer : choice))
+            );
+          }
+          setStatus(`Saved "${content.front}" to ${dataSheet.title} row ${contentRowNumber}.`);
+        }
+        setCardEditor(null);
+      } catch (error) {
+        setStatus(error.message);
+      } finally {
+        setIsSavingCard(false);
+      }
     },
     [
-      answerState,
+      accessToken,
       answerFor,
-      autoAdvanceMode,
-      autoAdvanceMs,
-      autoReadQuestion,
+      cardEditor,
       cards,
-      clearPendingAdvance,
       currentDirection,
-      currentCard,
-      flushPending,
-      goToQueuedNextCard,
-      queueStatUpdate,
-      speakSequence,
-      sessionWrongCards,
-      stopNarration,
-      sessionAnswers,
-      sessionCorrect
+      handleLoadCards,
+      loadedDeckNames,
+      refreshPendingCount,
+      sheetsClient,
+      updateLoadedCards
     ]
   );
 
+  const handleDeleteCard = useCallback(async () => {
+    if (cardEditor?.mode !== "edit") return;
+    if (!canReachSpreadsheet(contextRef.current.spreadsheetId, accessToken)) {
+      setStatus("Connect Google first.");
+      return;
+    }
+    const card = cards.find((item) => item.cardId === cardEditor.cardId);
+    if (!card) {
+      setStatus("That card is no longer loaded.");
+      return;
+    }
+    const { spreadsheetId, dataSheets } = contextRef.current;
+    const dataSheet = dataSheets[card.dataTitle];
+    if (!spreadsheetId || !Number.isInteger(dataSheet?.sheetId)) {
+      setStatus("Load the deck before editing its cards.");
+      return;
+    }
+    const sourceCardId = card.sourceCardId ?? card.cardId;
+    const removedCardIds = new Set(
+      cards
+        .filter((item) => (item.sourceCardId ?? item.cardId) === sourceCardId)
+        .map((item) => item.cardId)
+    );
+    const shouldDelete = window.confirm(
+      removedCardIds.size > 1
+        ? `Delete "${card.sourceFront}" and its ${removedCardIds.size} cloze cards from ${card.dataTitle}? Their rows in ${card.statsTitle} are kept.`
+        : `Delete "${card.front}" from ${card.dataTitle}? Its row in ${card.statsTitle} is kept.`
+    );
+    if (!shouldDelete) {
+      return;
+    }
+
+    try {
+      setIsSavingCard(true);
+      const contentRowNumber = await findRowByCardId(
+        sheetsClient,
+        spreadsheetId,
+        dataSheet,
+        sourceCardId
+      );
+      if (!contentRowNumber) {
+        setStatus(sheetChangedMessage(card, dataSheet.title));
+        return;
+      }
+      await sheetsClient.spreadsheetBatchUpdate({
+        spreadsheetId,
+        requests: [
+          {
+            deleteDimension: {
+              range: {
+                sheetId: dataSheet.sheetId,
+                dimension: "ROWS",
+                startIndex: contentRowNumber - 1,
+                endIndex: contentRowNumber
+              }
+            }
+          }
+        ]
+      });
+      dataSheet.rowCount = Math.max(1, dataSheet.rowCount - 1);
+
+      const removeCard = (list) =>
+        list
+          .filter((item) => !removedCardIds.has(item.cardId))
+          .map((item) =>
+            item.dataTitle === card.dataTitle && item.contentRowNumber > contentRowNumber
+              ? { ...item, contentRowNumber: item.contentRowNumber - 1 }
+              : item
+          );
+      updateLoadedCards(removeCard);
+      removedCardIds.forEach((cardId) => {
+        roundCompletedRef.current.delete(cardId);
+        roundCardIdsRef.current?.delete(cardId);
+      });
+      setRoundCompletedCount(roundCompletedRef.current.size);
+      if (removedCardIds.has(currentCardId)) {
+        pendingNextRef.current = null;
+        setAwaitingManualNext(false);
+        pickNextQuestion(removeCard(cards), card.cardId);
+      }
+      setCardEditor(null);
+      setStatus(`Deleted "${card.sourceFront ?? card.front}" from ${card.dataTitle}.`);
+    } catch (error) {
+      setStatus(error.message);
+    } finally {
+      setIsSavingCard(false);
+    }
+  }, [
+    accessToken,
+    cardEditor,
+    cards,
+    currentCardId,
+    pickNextQuestion,
+    sheetsClient,
+    updateLoadedCards
+  ]);
+
   const isCorrectionPhase = Boolean(answerState?.requiresCorrection);
+  const isConfirmationPhase = Boolean(answerState?.requiresConfirmation);
+  const isTypedMode = answerMode === "typed";
   const feedbackTone =
     answerState?.requiresCorrection || answerState?.completedWithMistake
       ? "bad"
-      : "good";
+      : isConfirmationPhase
+        ? "close"
+        : "good";
   const feedbackMessage = answerState
     ? answerState.requiresCorrection
-      ? "Not yet. Tap the correct answer to continue."
-      : answerState.completedWithMistake
-        ? "Completed after correction. Counted as wrong."
-        : "Correct on first try."
+      ? isTypedMode
+        ? `Not yet. The answer is "${answerState.expected}". Type it to continue.`
+        : "Not yet. Tap the correct answer to continue."
+      : isConfirmationPhase
+        ? `Close. You typed "${answerState.typedChoice}", the answer is "${answerState.expected}". Count it as correct?`
+        : answerState.completedWithMistake
+          ? "Completed after correction. Counted as wrong."
+          : answerState.closeEnough
+            ? `Accepted as close enough. Answer: "${answerState.expected}".`
+            : "Correct on first try."
     : "";
   const questionExplanationText =
     answerState && currentCard
@@ -1956,30 +6887,153 @@ export default function App() {
     answerState && currentCard
       ? String(answerExplanationFor(currentCard, currentDirection) || "").trim()
       : "";
+  // The card behind each answer choice, so choices can show its image and play
+  // its audio. The correct choice always maps to the current card.
+  const choiceCards = useMemo(() => {
+    if (!currentCard) return [];
+    const correct = answerFor(currentCard, currentDirection);
+    return choices.map((choice) =>
+      choice === correct
+        ? currentCard
+        : cards.find((card) => answerFor(card, currentDirection) === choice) ?? null
+    );
+  }, [answerFor, cards, choices, currentCard, currentDirection]);
+  const mediaSrc = (value) => {
+    const source = parseMediaSource(value);
+    if (!source) return "";
+    return source.kind === "url" ? source.url : mediaUrls[source.key] || "";
+  };
+  const promptImageSrc = currentCard ? mediaSrc(promptImageFor(currentCard, currentDirection)) : "";
+  const answerImageSrc = currentCard ? mediaSrc(answerImageFor(currentCard, currentDirection)) : "";
+
+  useEffect(() => {
+    if (!currentCard) return;
+    const values = [
+      promptImageFor(currentCard, currentDirection),
+      answerImageFor(currentCard, currentDirection),
+      ...choiceCards.map((card) => (card ? answerImageFor(card, currentDirection) : ""))
+    ];
+    for (const value of values) {
+      if (parseMediaSource(value)?.kind !== "drive") continue;
+      loadMediaUrl(value).catch((error) => {
+        setStatus(`Could not load card media: ${error.message}`);
+      });
+    }
+  }, [answerImageFor, choiceCards, currentCard, currentDirection, loadMediaUrl, promptImageFor]);
+
   const speakQuestion = useCallback(() => {
     if (!currentCard) return;
     const prompt = promptFor(currentCard, currentDirection);
-    speakSequence([{ target: "question", text: prompt }]);
-  }, [currentCard, currentDirection, promptFor, speakSequence]);
+    speakSequence([
+      {
+        target: "question",
+        text: prompt,
+        audio: promptAudioFor(currentCard, currentDirection)
+      }
+    ]);
+  }, [currentCard, currentDirection, promptAudioFor, promptFor, speakSequence]);
   const speakAnswers = useCallback(() => {
     if (!currentCard) return;
     speakSequence(
       choices.map((choice, index) => ({
         target: `choice-${index}`,
-        text: choice
+        text: choice,
+        audio: choiceCards[index] ? answerAudioFor(choiceCards[index], currentDirection) : ""
       }))
     );
-  }, [choices, currentCard, speakSequence]);
+  }, [answerAudioFor, choiceCards, choices, currentCard, currentDirection, speakSequence]);
+
+  const handlePauseRound = useCallback(() => {
+    stopNarration();
+    setAppStage("summary");
+  }, [stopNarration]);
+
+  useEffect(() => {
+    if (appStage !== "study" || !currentCard || cardEditor || syncConflicts.length > 0) return;
+    const onKeyDown = (event) => {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+      const target = event.target;
+      const isEditable =
+        target instanceof HTMLElement &&
+        (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+
+      if (event.key === "Escape") {
+        event.preventDefault();
+        handlePauseRound();
+        return;
+      }
+      if (isEditable) return;
+
+      if (event.key === "Enter" || event.key === " ") {
+        // A focused button already reacts to these keys on its own.
+        if (target instanceof HTMLButtonElement && !target.disabled) return;
+        if (!pendingNextRef.current) return;
+        event.preventDefault();
+        goToQueuedNextCard();
+        return;
+      }
+
+      const choiceIndex = Number(event.key) - 1;
+      if (/^[1-6]$/.test(event.key)) {
+        if (answerMode !== "choice" || choiceIndex >= choices.length) return;
+        event.preventDefault();
+        handleAnswer(choices[choiceIndex]);
+        return;
+      }
+
+      switch (event.key.toLowerCase()) {
+        case "r":
+          speakQuestion();
+          break;
+        case "a":
+          if (answerMode === "choice") speakAnswers();
+          break;
+        case "s":
+          stopNarration();
+          break;
+        case "?":
+          setShowShortcuts((value) => !value);
+          break;
+        default:
+          return;
+      }
+      event.preventDefault();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [
+    answerMode,
+    appStage,
+    cardEditor,
+    choices,
+    currentCard,
+    goToQueuedNextCard,
+    handleAnswer,
+    handlePauseRound,
+    speakAnswers,
+    speakQuestion,
+    stopNarration,
+    syncConflicts.length
+  ]);
 
   const hasLoadedCards = cards.length > 0;
+  // What a blank field in the settings panel falls back to: the spreadsheet-wide
+  // rows for a deck scope, the built-in defaults for the spreadsheet-wide scope.
+  const inheritedSettings = settingsDraft?.scope
+    ? resolveDeckSettings(
+        settingsRows.filter((row) => !row.deck),
+        ""
+      )
+    : DEFAULT_DECK_SETTINGS;
   const hasSelectedSheet = Boolean(spreadsheetId);
-  const canLoadCards = Boolean(accessToken && spreadsheetId);
+  const isLocalSheet = isLocalSpreadsheetId(spreadsheetId);
+  const canLoadCards = Boolean(spreadsheetId && canReachSpreadsheet(spreadsheetId, accessToken));
   const isFrontToBack = currentDirection === "front_to_back";
   const randomDirectionText = isFrontToBack ? "F -> B" : "B -> F";
   const randomDirectionTitle = isFrontToBack ? "Random: Front -> Back" : "Random: Back -> Front";
   const randomDirectionTone = isFrontToBack ? "direction-pill-front" : "direction-pill-back";
   const showRandomDirection = studyMode === "random";
-  const activeWorkflowStep = !accessToken
+  const activeWorkflowStep = !accessToken && !localMode
     ? 1
     : !hasSelectedSheet
       ? 2
@@ -1991,7 +7045,7 @@ export default function App() {
     if (stepNumber === activeWorkflowStep) return "active";
     return "todo";
   };
-  const canGoSheet = Boolean(accessToken);
+  const canGoSheet = Boolean(accessToken || localMode);
   const canGoStudy = hasLoadedCards;
   const canGoStats = hasLoadedCards;
   const statusIsError = useMemo(() => {
@@ -2012,6 +7066,27 @@ export default function App() {
     ];
     return errorSignals.some((token) => value.includes(token));
   }, [status]);
+  const renderImportRows = (rows) => (
+    <ul className="queue-list import-preview">
+      {rows.slice(0, IMPORT_PREVIEW_LIMIT).map((row) => (
+        <li
+          key={`import-${row.rowNumber}`}
+          className={row.errors.length > 0 ? "import-row-bad" : ""}
+        >
+          <strong>
+            {`${row.values.front || "(no question)"} → ${row.values.back || "(no answer)"}`}
+          </strong>
+          <span>
+            {row.errors.length > 0
+              ? `Row ${row.rowNumber}: ${row.errors.join(", ")}`
+              : [`Row ${row.rowNumber}`, row.values.romanization, row.values.tags.join(", ")]
+                  .filter(Boolean)
+                  .join(" · ")}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
   const pickerDisabledReason = !accessToken
     ? "Connect Google first."
     : !isPickerConfigured
@@ -2106,18 +7181,27 @@ export default function App() {
           </div>
           <h2>Connect Google</h2>
           <p className="status-inline">
-            {isConfigured
-              ? isPickerConfigured
-                ? "Sign in once to allow access to spreadsheets you create or pick in this app."
-                : "Drive Picker setup is incomplete for this deployment."
-              : "Google sign-in is temporarily unavailable. Please try again later."}
+            {!isOnline
+              ? "You're offline. Study from an offline copy below; answers sync when you're back."
+              : isConfigured
+                ? isPickerConfigured
+                  ? "Sign in once to allow access to spreadsheets you create or pick in this app."
+                  : "Drive Picker setup is incomplete for this deployment."
+                : "Google sign-in is temporarily unavailable. Please try again later."}
           </p>
+          {learnerEmail && (
+            <p className="status-inline">
+              Signed in as {learnerEmail}. Your progress is saved to tabs ending in{" "}
+              {`"${LEARNER_TAB_SEPARATOR}${learnerEmail}"`}.
+            </p>
+          )}
           <div className="trust-panel">
             <h3>What We Access</h3>
             <ul className="trust-list">
-              <li>Google account sign-in for this app.</li>
+              <li>Google account sign-in for this app, and your email address to name your progress tabs.</li>
               <li>Files you create with this app or explicitly pick from Google Drive.</li>
               <li>Card content and learning stats only inside your selected spreadsheet.</li>
+              <li>Nothing at all if you study without Google; local sheets stay in this browser.</li>
             </ul>
             <div className="legal-links">
               <a href="/privacy.html" target="_blank" rel="noreferrer">
@@ -2132,9 +7216,12 @@ export default function App() {
             <button className="btn btn-accent" onClick={handleSignIn} disabled={!isConfigured}>
               {accessToken ? "Reconnect Google" : "Connect Google"}
             </button>
-            <button className="btn btn-subtle" onClick={() => setAppStage("sheet")} disabled={!accessToken}>
+            <button className="btn btn-subtle" onClick={() => setAppStage("sheet")} disabled={!canGoSheet}>
               Continue to Sheet
             </button>
+            <button className="btn btn-subtle" onClick={handleStudyLocally}>
+              Study Without Google
+            </button>
             <button className="btn btn-subtle" onClick={handleDisconnectGoogle} disabled={!accessToken}>
               Disconnect Google
             </button>
@@ -2142,6 +7229,29 @@ export default function App() {
               Clear Local Data
             </button>
           </div>
+          {deckSnapshots.length > 0 && (
+            <div className="recent-row">
+              <span>Offline Copies On This Device</span>
+              <ul className="queue-list local-sheet-list">
+                {deckSnapshots.map((snapshot) => (
+                  <li key={snapshot.spreadsheetId}>
+                    <strong>{snapshot.title}</strong>
+                    <span>
+                      {`${snapshot.cardCount} cards · saved ${new Date(snapshot.savedAt).toLocaleString()}`}
+                    </span>
+                    <div className="actions">
+                      <button
+                        className="btn btn-subtle"
+                        onClick={() => handleOpenOfflineCopy(snapshot.spreadsheetId)}
+                      >
+                        Study Offline
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </section>
       )}
 
@@ -2154,7 +7264,7 @@ export default function App() {
           <div className="workflow-steps" role="list" aria-label="Setup steps">
             <div className={`workflow-step ${workflowStepTone(1)}`} role="listitem">
               <strong>1</strong>
-              <span>Connect Google</span>
+              <span>{localMode && !accessToken ? "Study Without Google" : "Connect Google"}</span>
             </div>
             <div className={`workflow-step ${workflowStepTone(2)}`} role="listitem">
               <strong>2</strong>
@@ -2183,7 +7293,7 @@ export default function App() {
               </label>
               <div className="field fixed-tabs">
                 <span>Required Tabs</span>
-                <p>{`${CARD_DATA_SHEET} + ${CARD_STATS_SHEET}`}</p>
+                <p>{`${CARD_DATA_SHEET} + ${CARD_STATS_SHEET} (per deck)`}</p>
               </div>
             </div>
             <div className="actions">
@@ -2197,10 +7307,20 @@ export default function App() {
               <button
                 className="btn btn-subtle"
                 onClick={handleOpenSheet}
-                disabled={!spreadsheetId}
+                disabled={!spreadsheetEditUrl}
               >
                 Open Sheet
               </button>
+              {isLocalSheet && (
+                <button
+                  className="btn btn-subtle"
+                  onClick={handlePushLocalSheet}
+                  disabled={!accessToken || isPushingSheet}
+                  title={accessToken ? "" : "Connect Google first."}
+                >
+                  {isPushingSheet ? "Pushing..." : "Push To Google Sheets"}
+                </button>
+              )}
             </div>
             {pickerDisabledReason && (
               <p className="status-inline">{pickerDisabledReason}</p>
@@ -2241,6 +7361,38 @@ export default function App() {
                 </div>
               </div>
             )}
+            {localSheetList.length > 0 && (
+              <div className="recent-row">
+                <span>Local Sheets On This Device</span>
+                <ul className="queue-list local-sheet-list">
+                  {localSheetList.map((sheet) => (
+                    <li key={sheet.spreadsheetId}>
+                      <strong>{sheet.title}</strong>
+                      <span>
+                        {sheet.updatedAt
+                          ? `Updated ${new Date(sheet.updatedAt).toLocaleString()}`
+                          : sheet.spreadsheetId}
+                      </span>
+                      <div className="actions">
+                        <button
+                          className="btn btn-subtle"
+                          onClick={() => handleSelectRecentSheet(sheet.spreadsheetId)}
+                          disabled={spreadsheetId === sheet.spreadsheetId && hasLoadedCards}
+                        >
+                          Open
+                        </button>
+                        <button
+                          className="btn btn-subtle"
+                          onClick={() => handleDeleteLocalSheet(sheet.spreadsheetId)}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
             <div className="new-sheet">
               <label className="field">
                 <span>Create New Sheet</span>
@@ -2252,9 +7404,12 @@ export default function App() {
                 />
               </label>
               <div className="actions">
-                <button className="btn" onClick={handleCreateSheet} disabled={!accessToken}>
+                <button className="btn" onClick={() => handleCreateSheet(false)} disabled={!accessToken}>
                   Create New Sheet
                 </button>
+                <button className="btn btn-subtle" onClick={() => handleCreateSheet(true)}>
+                  Create Local Sheet
+                </button>
               </div>
             </div>
           </section>
@@ -2263,11 +7418,53 @@ export default function App() {
             <p className="sheet-hint">
               If this is a new sheet, initialize the template once, then load your cards.
             </p>
+            <div className="deck-picker">
+              <span>Decks To Study</span>
+              {availableDecks.length === 0 ? (
+                <p className="sheet-hint">
+                  {`No deck tabs found yet. Decks are tabs named "${CARD_DATA_SHEET}" or "${deckDataTitle("<deck>")}".`}
+                </p>
+              ) : (
+                <div className="deck-list">
+                  {availableDecks.map((deck) => (
+                    <label className="deck-option" key={`deck-${deck.dataTitle}`}>
+                      <input
+                        type="checkbox"
+                        checked={selectedDeckNames.includes(deck.name)}
+                        onChange={() => handleToggleDeck(deck.name)}
+                      />
+                      <span>{deckLabel(deck.name)}</span>
+                      {loadedDeckNames.includes(deck.name) && (
+                        <span className="recent-badge recent-badge-selected">Loaded</span>
+                      )}
+                    </label>
+                  ))}
+                </div>
+              )}
+              <div className="new-deck">
+                <label className="field">
+                  <span>New Deck Name</span>
+                  <input
+                    type="text"
+                    value={newDeckName}
+                    onChange={(event) => setNewDeckName(event.target.value)}
+                    placeholder="Travel Phrases"
+                  />
+                </label>
+                <button
+                  className="btn"
+                  onClick={handleAddDeck}
+                  disabled={!canLoadCards || !newDeckName.trim()}
+                >
+                  Add Deck
+                </button>
+              </div>
+            </div>
             <div className="actions">
               <button
                 className="btn"
                 onClick={handleInitializeSheetTemplate}
-                disabled={!accessToken || !spreadsheetId}
+                disabled={!canLoadCards}
               >
                 Initialize Sheet Template
               </button>
@@ -2288,7 +7485,7 @@ export default function App() {
               <button
                 className="btn btn-subtle"
                 onClick={() => flushPending(false)}
-                disabled={pendingWrites === 0 || isFlushing}
+                disabled={!hasPendingSync || isFlushing}
               >
                 {isFlushing ? "Syncing..." : "Sync Pending"}
               </button>
@@ -2311,6 +7508,13 @@ export default function App() {
                 aria-hidden={!hasLoadedCards}
               >
                 <span className="study-pill">{`${cards.length} cards loaded`}</span>
+                {loadedDeckNames.length > 1 && (
+                  <span className="study-pill">{`${loadedDeckNames.length} decks`}</span>
+                )}
+                <span className="study-pill">{`${dueNowCount} due now`}</span>
+                {isRoundFiltered && (
+                  <span className="study-pill">{`${nextRoundCount} in next round`}</span>
+                )}
                 <span className="study-pill">{`${pendingWrites} pending writes`}</span>
               </div>
             </div>
@@ -2323,11 +7527,75 @@ export default function App() {
             >
               Start Study Round
             </button>
+            <button
+              className={["btn", "btn-subtle", hasLoadedCards ? "" : "ui-hidden"].filter(Boolean).join(" ")}
+              onClick={openRoundSetup}
+              disabled={!hasLoadedCards}
+              aria-hidden={!hasLoadedCards}
+              tabIndex={hasLoadedCards ? undefined : -1}
+            >
+              Round Setup
+            </button>
+            <button
+              className={["btn", "btn-subtle", hasLoadedCards ? "" : "ui-hidden"].filter(Boolean).join(" ")}
+              onClick={handleCopyStudyLink}
+              disabled={!hasLoadedCards}
+              aria-hidden={!hasLoadedCards}
+              tabIndex={hasLoadedCards ? undefined : -1}
+            >
+              Copy Study Link
+            </button>
           </section>
+          {(hasPendingSync || flushRetry) && (
+            <details className="prompt-builder queue-inspector">
+              <summary>{`Unsynced Updates (${pendingWrites + pendingLogCount})`}</summary>
+              <p className="status-inline">
+                These updates are saved on this device and will be written to the progress tabs when
+                Google Sheets is reachable.
+              </p>
+              {flushRetry && (
+                <p className="status-inline queue-retry">
+                  {`Retry #${flushRetry.attempt} at ${new Date(flushRetry.nextAt).toLocaleTimeString()}: ${flushRetry.message}`}
+                </p>
+              )}
+              <ul className="queue-list">
+                {pendingQueue.map((entry) => {
+                  const card = cards.find((item) => item.cardId === entry.cardId);
+                  const label = card?.front || entry.front || `Row ${entry.rowNumber}`;
+                  const detail = entry.queuedAt
+                    ? `${entry.lastResult || "answer"} · ${entry.seenCount} seen · queued ${new Date(entry.queuedAt).toLocaleString()}`
+                    : entry.front != null
+                      ? "New progress row"
+                      : "Progress row update";
+                  return (
+                    <li key={`queue-${entry.key}`}>
+                      <strong>{label}</strong>
+                      <span>{`${entry.statsTitle} row ${entry.rowNumber} · ${detail}`}</span>
+                    </li>
+                  );
+                })}
+                {pendingLogCount > 0 && (
+                  <li key="queue-review-log">
+                    <strong>Review Log</strong>
+                    <span>{`${pendingLogCount} answer event(s) waiting to be appended`}</span>
+                  </li>
+                )}
+              </ul>
+              <div className="actions">
+                <button
+                  className="btn btn-subtle"
+                  onClick={() => flushPending(false)}
+                  disabled={!hasPendingSync || isFlushing || (!accessToken && !isLocalSheet)}
+                >
+                  {isFlushing ? "Syncing..." : "Retry Now"}
+                </button>
+              </div>
+            </details>
+          )}
           <details className="prompt-builder">
             <summary>Optional: Generate New Cards With A Prompt</summary>
             <p className="status-inline">
-              Paste your topic/study material below, then copy this prompt into ChatGPT. The output will be tab-separated for direct paste into Google Sheets.
+              Paste your topic/study material below, then copy this prompt into ChatGPT. The output will be tab-separated, ready for the import box below.
             </p>
             <label className="field">
               <span>Study Material Notes</span>
@@ -2343,11 +7611,297 @@ export default function App() {
               <textarea value={csvPromptText} readOnly rows={14} />
             </label>
             <div className="actions">
-              <button className="btn btn-subtle" onClick={handleCopyCsvPrompt}>
-                Copy Prompt
+              <button className="btn btn-subtle" onClick={handleCopyCsvPrompt}>
+                Copy Prompt
+              </button>
+            </div>
+          </details>
+          <details className="prompt-builder import-box">
+            <summary>Optional: Import Pasted Cards (TSV/CSV)</summary>
+            <p className="status-inline">
+              Paste the reply from the prompt above (the fenced code block is fine) or any TSV/CSV with
+              the same columns. Rows are checked here first; flagged rows are skipped.
+            </p>
+            {availableDecks.length > 1 && (
+              <label className="field">
+                <span>Import Into</span>
+                <select
+                  value={importDeck?.name ?? ""}
+                  onChange={(event) => setImportDeckName(event.target.value)}
+                >
+                  {availableDecks.map((deck) => (
+                    <option key={`import-deck-${deck.name}`} value={deck.name}>
+                      {deck.dataTitle}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <label className="field">
+              <span>Pasted Cards</span>
+              <textarea
+                value={importText}
+                onChange={(event) => setImportText(event.target.value)}
+                rows={8}
+                placeholder={CARD_TEMPLATE_HEADERS.join("\t")}
+              />
+            </label>
+            {importPreview.rows.length > 0 && (
+              <>
+                <p className="status-inline">
+                  {[
+                    `${importValidCount} ready to import`,
+                    `${importPreview.rows.length - importValidCount} flagged`,
+                    importPreview.hasHeader ? "" : "no header row, using the template column order"
+                  ]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </p>
+                {renderImportRows(importPreview.rows)}
+              </>
+            )}
+            <div className="actions">
+              <button
+                className="btn"
+                onClick={handleImportCards}
+                disabled={!canLoadCards || importValidCount === 0 || isImporting}
+              >
+                {isImporting ? "Importing..." : `Import ${importValidCount} Card(s)`}
+              </button>
+            </div>
+          </details>
+          <details className="prompt-builder import-box">
+            <summary>Optional: Import From Anki Or Quizlet</summary>
+            <p className="status-inline">
+              Bring in an Anki deck export (.apkg) or the text from Quizlet&apos;s Export. Fields are
+              mapped onto question, answer, pronunciation, tags and explanations; check the preview
+              before importing.
+            </p>
+            <div className="actions">
+              <button
+                className={`btn ${externalSource === "anki" ? "btn-accent" : "btn-subtle"}`}
+                onClick={() => setExternalSource("anki")}
+              >
+                Anki (.apkg)
+              </button>
+              <button
+                className={`btn ${externalSource === "quizlet" ? "btn-accent" : "btn-subtle"}`}
+                onClick={() => setExternalSource("quizlet")}
+              >
+                Quizlet Export
+              </button>
+            </div>
+            {externalSource === "anki" ? (
+              <label className="field">
+                <span>{ankiImport ? `Anki File: ${ankiImport.fileName}` : "Anki File"}</span>
+                <input
+                  type="file"
+                  accept=".apkg,.colpkg"
+                  onChange={handleAnkiFileChange}
+                  disabled={isImporting}
+                />
+              </label>
+            ) : (
+              <>
+                <div className="field-grid">
+                  <label className="field">
+                    <span>Between Term And Definition</span>
+                    <select
+                      value={quizletSeparators.term}
+                      onChange={(event) =>
+                        setQuizletSeparators((prev) => ({ ...prev, term: event.target.value }))
+                      }
+                    >
+                      <option value="tab">Tab</option>
+                      <option value="comma">Comma</option>
+                      <option value="custom">Custom</option>
+                    </select>
+                  </label>
+                  {quizletSeparators.term === "custom" && (
+                    <label className="field">
+                      <span>Custom Term Separator</span>
+                      <input
+                        type="text"
+                        value={quizletSeparators.customTerm}
+                        onChange={(event) =>
+                          setQuizletSeparators((prev) => ({ ...prev, customTerm: event.target.value }))
+                        }
+                      />
+                    </label>
+                  )}
+                  <label className="field">
+                    <span>Between Cards</span>
+                    <select
+                      value={quizletSeparators.row}
+                      onChange={(event) =>
+                        setQuizletSeparators((prev) => ({ ...prev, row: event.target.value }))
+                      }
+                    >
+                      <option value="newline">New Line</option>
+                      <option value="semicolon">Semicolon</option>
+                      <option value="custom">Custom</option>
+                    </select>
+                  </label>
+                  {quizletSeparators.row === "custom" && (
+                    <label className="field">
+                      <span>Custom Card Separator</span>
+                      <input
+                        type="text"
+                        value={quizletSeparators.customRow}
+                        onChange={(event) =>
+                          setQuizletSeparators((prev) => ({ ...prev, customRow: event.target.value }))
+                        }
+                      />
+                    </label>
+                  )}
+                </div>
+                <label className="field">
+                  <span>Quizlet Export Text</span>
+                  <textarea
+                    value={quizletText}
+                    onChange={(event) => setQuizletText(event.target.value)}
+                    rows={8}
+                    placeholder={"term\tdefinition"}
+                  />
+                </label>
+              </>
+            )}
+            {externalPreviewRows.length > 0 && (
+              <>
+                <p className="status-inline">
+                  {`${externalValidCount} ready to import · ${externalPreviewRows.length - externalValidCount} flagged`}
+                </p>
+                {renderImportRows(externalPreviewRows)}
+              </>
+            )}
+            <div className="field-grid">
+              <label className="field">
+                <span>Import Into</span>
+                <select value={externalTarget} onChange={(event) => setExternalTarget(event.target.value)}>
+                  <option value="existing">
+                    {importDeck ? `Existing deck: ${importDeck.dataTitle}` : "Existing deck"}
+                  </option>
+                  <option value="new_deck">New deck in this sheet</option>
+                  <option value="new_sheet">
+                    {!accessToken || isLocalSheet ? "New local sheet" : "New spreadsheet"}
+                  </option>
+                </select>
+              </label>
+              {externalTarget === "existing" && availableDecks.length > 1 && (
+                <label className="field">
+                  <span>Deck</span>
+                  <select
+                    value={importDeck?.name ?? ""}
+                    onChange={(event) => setImportDeckName(event.target.value)}
+                  >
+                    {availableDecks.map((deck) => (
+                      <option key={`external-deck-${deck.name}`} value={deck.name}>
+                        {deck.dataTitle}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {externalTarget !== "existing" && (
+                <label className="field">
+                  <span>{externalTarget === "new_sheet" ? "Spreadsheet Name" : "Deck Name"}</span>
+                  <input
+                    type="text"
+                    value={externalTargetName}
+                    onChange={(event) => setExternalTargetName(event.target.value)}
+                    placeholder="Korean Vocabulary"
+                  />
+                </label>
+              )}
+            </div>
+            <div className="actions">
+              <button
+                className="btn"
+                onClick={handleExternalImport}
+                disabled={
+                  (externalTarget !== "new_sheet" && !canLoadCards) ||
+                  externalValidCount === 0 ||
+                  isImporting
+                }
+              >
+                {isImporting ? "Importing..." : `Import ${externalValidCount} Card(s)`}
               </button>
             </div>
           </details>
+          {hasLoadedCards && (
+            <details className="prompt-builder">
+              <summary>Optional: Deck Settings</summary>
+              <p className="status-inline">
+                {`Stored in the ${SETTINGS_SHEET} tab, so everyone studying this sheet gets the same choice counts, mastery weights, leech limit and study defaults. Leave a field blank to use the default shown.`}
+              </p>
+              <div className="actions">
+                <button
+                  className={`btn ${settingsDraft?.scope === "" ? "btn-accent" : "btn-subtle"}`}
+                  onClick={() => openSettingsEditor("")}
+                >
+                  All Decks
+                </button>
+                {loadedDeckNames.map((name) => (
+                  <button
+                    key={`settings-${name}`}
+                    className={`btn ${settingsDraft?.scope === deckLabel(name) ? "btn-accent" : "btn-subtle"}`}
+                    onClick={() => openSettingsEditor(deckLabel(name))}
+                  >
+                    {deckLabel(name)}
+                  </button>
+                ))}
+              </div>
+              {settingsDraft && (
+                <>
+                  <div className="field-grid">
+                    {DECK_SETTING_FIELDS.map((field) => {
+                      const inherited = inheritedSettings[field.prop];
+                      return (
+                        <label className="field" key={field.key}>
+                          <span>{field.label}</span>
+                          {field.type === "choice" || field.type === "boolean" ? (
+                            <select
+                              value={settingsDraft.values[field.key].toLowerCase()}
+                              onChange={(event) => handleSettingsDraftChange(field.key, event.target.value)}
+                            >
+                              <option value="">{`Default (${String(inherited)})`}</option>
+                              {(field.type === "boolean" ? ["true", "false"] : field.options).map(
+                                (option) => (
+                                  <option key={option} value={option}>
+                                    {option}
+                                  </option>
+                                )
+                              )}
+                            </select>
+                          ) : (
+                            <input
+                              type="text"
+                              inputMode="decimal"
+                              value={settingsDraft.values[field.key]}
+                              placeholder={String(inherited)}
+                              onChange={(event) => handleSettingsDraftChange(field.key, event.target.value)}
+                            />
+                          )}
+                        </label>
+                      );
+                    })}
+                  </div>
+                  <div className="actions">
+                    <button
+                      className="btn btn-accent"
+                      onClick={handleSaveDeckSettings}
+                      disabled={isSavingSettings}
+                    >
+                      {isSavingSettings ? "Saving..." : `Save ${settingsDraft.scope || "All Decks"} Settings`}
+                    </button>
+                    <button className="btn btn-subtle" onClick={() => setSettingsDraft(null)}>
+                      Cancel
+                    </button>
+                  </div>
+                </>
+              )}
+            </details>
+          )}
           <section className="metrics-panel compact-metrics">
             <div className="metric">
               <span>Cards Loaded</span>
@@ -2361,6 +7915,93 @@ export default function App() {
         </section>
       )}
 
+      {(appStage === "study" || appStage === "stats") && cardEditor && (
+        <form className="panel card-editor" onSubmit={handleSaveCard} ref={cardEditorRef}>
+          <div className="chart-head">
+            <h3>{cardEditor.mode === "add" ? "Add Card" : "Edit Card"}</h3>
+            <span>{`Saves to ${deckDataTitle(cardEditor.deckName)}`}</span>
+          </div>
+          <div className="field-grid">
+            {cardEditor.mode === "add" && loadedDeckNames.length > 1 && (
+              <label className="field">
+                <span>Deck</span>
+                <select
+                  value={cardEditor.deckName}
+                  onChange={(event) => handleCardEditorChange("deckName", event.target.value)}
+                >
+                  {loadedDeckNames.map((name) => (
+                    <option key={`editor-deck-${name}`} value={name}>
+                      {deckLabel(name)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {CARD_EDITOR_FIELDS.map(({ key, label }) => (
+              <label className="field" key={`editor-${key}`}>
+                <span>{label}</span>
+                <input
+                  type="text"
+                  value={cardEditor[key]}
+                  onChange={(event) => handleCardEditorChange(key, event.target.value)}
+                />
+              </label>
+            ))}
+          </div>
+          {accessToken && (
+            <div className="actions">
+              {CARD_EDITOR_FIELDS.filter(({ media }) => media).map(({ key, media, pickLabel }) => (
+                <button
+                  type="button"
+                  className="btn btn-subtle"
+                  key={`editor-pick-${key}`}
+                  onClick={() => handlePickMediaFromDrive(key, media)}
+                  disabled={!pickerReady || !isPickerConfigured}
+                >
+                  {pickLabel}
+                </button>
+              ))}
+            </div>
+          )}
+          {hasCloze(cardEditor.front) && (
+            <p className="status-inline">
+              {`Cloze card: makes ${clozeIndexes(cardEditor.front).length} card(s), one per {{cN::...}} number. The answer is optional and shown as extra notes. Saving reloads the deck.`}
+            </p>
+          )}
+          <div className="actions">
+            <button
+              type="submit"
+              className="btn btn-accent"
+              disabled={
+                isSavingCard ||
+                !cardEditor.front.trim() ||
+                (!cardEditor.back.trim() && !hasCloze(cardEditor.front))
+              }
+            >
+              {isSavingCard ? "Saving..." : "Save Card"}
+            </button>
+            {cardEditor.mode === "edit" && (
+              <button
+                type="button"
+                className="btn btn-subtle"
+                onClick={handleDeleteCard}
+                disabled={isSavingCard}
+              >
+                Delete Card
+              </button>
+            )}
+            <button
+              type="button"
+              className="btn btn-subtle"
+              onClick={() => setCardEditor(null)}
+              disabled={isSavingCard}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
       {appStage === "study" && (
         <section className="panel study-panel">
           {!currentCard ? (
@@ -2371,7 +8012,13 @@ export default function App() {
                 <span>{`Round ${roundProgress}`}</span>
                 <span>{`First Try ${sessionAccuracy}`}</span>
                 <span>{`Missed ${sessionWrongCards}`}</span>
-                <span>{`Mastery ${currentCard.mastery.toFixed(2)}`}</span>
+                <span>{`Mastery ${studyStatsFor(currentCard, currentDirection).mastery.toFixed(2)}`}</span>
+                {loadedDeckNames.length > 1 && (
+                  <span>{`Deck ${deckLabel(currentCard.deckName)}`}</span>
+                )}
+                {isLeech(currentCard, settingsForDeck(currentCard.deckName)) && (
+                  <span className="leech-tag">{`Leech · ${currentCard.lapses} lapses`}</span>
+                )}
               </div>
               <div className="actions card-actions">
                 <button
@@ -2399,6 +8046,22 @@ export default function App() {
                   {showPronunciation ? "Pronunciation On" : "Pronunciation Off"}
                 </button>
               </div>
+              <div className="actions card-actions">
+                <button
+                  className={`btn ${answerMode === "choice" ? "btn-accent" : "btn-subtle"}`}
+                  onClick={() => setAnswerMode("choice")}
+                  disabled={isCorrectionPhase || isConfirmationPhase}
+                >
+                  Multiple Choice
+                </button>
+                <button
+                  className={`btn ${answerMode === "typed" ? "btn-accent" : "btn-subtle"}`}
+                  onClick={() => setAnswerMode("typed")}
+                  disabled={isCorrectionPhase || isConfirmationPhase}
+                >
+                  Type Answer
+                </button>
+              </div>
               <div className="actions card-actions">
                 <button
                   className={`btn ${autoAdvanceMode === "delay" ? "btn-accent" : "btn-subtle"}`}
@@ -2425,6 +8088,9 @@ export default function App() {
                     <option value="1500">1.5s</option>
                     <option value="2500">2.5s</option>
                     <option value="4000">4.0s</option>
+                    {![900, 1500, 2500, 4000].includes(autoAdvanceMs) && (
+                      <option value={String(autoAdvanceMs)}>{`${(autoAdvanceMs / 1000).toFixed(1)}s`}</option>
+                    )}
                   </select>
                 </label>
               </div>
@@ -2442,14 +8108,32 @@ export default function App() {
                 <button
                   className="btn btn-subtle"
                   onClick={speakAnswers}
-                  disabled={!speechSupported}
+                  disabled={!speechSupported || isTypedMode}
                 >
                   Read Answers
                 </button>
                 <button className="btn btn-subtle" onClick={stopNarration} disabled={!speechSupported}>
                   Stop Voice
                 </button>
-                <button className="btn btn-subtle" onClick={() => setAppStage("summary")}>
+                <button className="btn btn-subtle" onClick={() => openCardEditor(currentCard.cardId)}>
+                  Edit Card
+                </button>
+                <button className="btn btn-subtle" onClick={openNewCardEditor}>
+                  Add Card
+                </button>
+                <button
+                  className="btn btn-subtle"
+                  onClick={() => handleSetCardStatus(currentCard.cardId, "buried")}
+                >
+                  Bury Card
+                </button>
+                <button
+                  className="btn btn-subtle"
+                  onClick={() => handleSetCardStatus(currentCard.cardId, "suspended")}
+                >
+                  Suspend Card
+                </button>
+                <button className="btn btn-subtle" onClick={handlePauseRound}>
                   End Round
                 </button>
               </div>
@@ -2469,6 +8153,8 @@ export default function App() {
                 </span>
               </div>
               <h2
+                ref={questionHeadingRef}
+                tabIndex={-1}
                 className={[
                   "card-front",
                   spokenTarget === "question" ? "reading-focus" : ""
@@ -2478,42 +8164,129 @@ export default function App() {
               >
                 {promptFor(currentCard, currentDirection)}
               </h2>
+              {promptImageSrc && (
+                <img
+                  className="card-media"
+                  src={promptImageSrc}
+                  alt=""
+                  loading="lazy"
+                  decoding="async"
+                />
+              )}
               <p className="card-hint">
                 {cardHintText}
               </p>
-              <div className="choices">
-                {choices.map((choice, index) => {
-                  const correctChoice = answerFor(currentCard, currentDirection);
-                  const isSelectedWrong =
-                    isCorrectionPhase && choice === answerState?.wrongChoice;
-                  const isAnswer = answerState && choice === correctChoice;
+              {isTypedMode ? (
+                <form className="typed-answer" onSubmit={handleTypedAnswerSubmit}>
+                  <label className="field">
+                    <span>Your Answer</span>
+                    <input
+                      ref={typedAnswerInputRef}
+                      type="text"
+                      value={typedAnswer}
+                      onChange={(event) => setTypedAnswer(event.target.value)}
+                      disabled={Boolean(answerState) && !isCorrectionPhase}
+                      autoComplete="off"
+                      autoCapitalize="off"
+                      spellCheck={false}
+                      placeholder={isCorrectionPhase ? "Type the correct answer" : "Type the answer"}
+                    />
+                  </label>
+                  <div className="actions card-actions">
+                    {isConfirmationPhase ? (
+                      <>
+                        <button
+                          type="button"
+                          className="btn btn-accent"
+                          onClick={() => handleConfirmCloseAnswer(true)}
+                        >
+                          Count As Correct
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-subtle"
+                          onClick={() => handleConfirmCloseAnswer(false)}
+                        >
+                          Count As Wrong
+                        </button>
+                      </>
+                    ) : (
+                      <button
+                        type="submit"
+                        className="btn btn-accent"
+                        disabled={!typedAnswer.trim() || (Boolean(answerState) && !isCorrectionPhase)}
+                      >
+                        Check Answer
+                      </button>
+                    )}
+                  </div>
+                </form>
+              ) : (
+                <div className="choices">
+                  {choices.map((choice, index) => {
+                    const correctChoice = answerFor(currentCard, currentDirection);
+                    const isSelectedWrong =
+                      isCorrectionPhase && choice === answerState?.wrongChoice;
+                    const isAnswer = answerState && choice === correctChoice;
+                    const choiceImageSrc = choiceCards[index]
+                      ? mediaSrc(answerImageFor(choiceCards[index], currentDirection))
+                      : "";
 
-                  return (
-                    <button
-                      key={`${currentCard.cardId}_${choice}`}
-                      className={[
-                        "choice",
-                        isAnswer ? "choice-correct" : "",
-                        isSelectedWrong ? "choice-muted" : "",
-                        spokenTarget === `choice-${index}` ? "reading-focus" : ""
-                      ]
-                        .filter(Boolean)
-                        .join(" ")}
-                      onClick={() => handleAnswer(choice)}
-                      disabled={isCorrectionPhase ? choice !== correctChoice : Boolean(answerState)}
-                    >
-                      {choice}
-                    </button>
-                  );
-                })}
-              </div>
-              <div className="study-response-zone" aria-live="polite">
+                    return (
+                      <button
+                        key={`${currentCard.cardId}_${choice}`}
+                        className={[
+                          "choice",
+                          isAnswer ? "choice-correct" : "",
+                          isSelectedWrong ? "choice-muted" : "",
+                          spokenTarget === `choice-${index}` ? "reading-focus" : ""
+                        ]
+                          .filter(Boolean)
+                          .join(" ")}
+                        onClick={() => handleAnswer(choice)}
+                        disabled={isCorrectionPhase ? choice !== correctChoice : Boolean(answerState)}
+                      >
+                        {index < 6 && (
+                          <span className="choice-key" aria-hidden="true">
+                            {index + 1}
+                          </span>
+                        )}
+                        {choiceImageSrc && (
+                          <img
+                            className="choice-media"
+                            src={choiceImageSrc}
+                            alt=""
+                            loading="lazy"
+                            decoding="async"
+                          />
+                        )}
+                        {choice}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+              <p className="sr-only" role="status">
+                {answerState
+                  ? `${feedbackMessage}${awaitingManualNext ? " Press Enter for the next card." : ""}`
+                  : ""}
+              </p>
+              <div className="study-response-zone">
                 <p
                   className={["feedback", feedbackTone, answerState ? "" : "ui-hidden"].filter(Boolean).join(" ")}
                   aria-hidden={!answerState}
                 >
                   {feedbackMessage || "\u00A0"}
                 </p>
+                {isTypedMode && answerState && answerImageSrc && (
+                  <img
+                    className="card-media"
+                    src={answerImageSrc}
+                    alt=""
+                    loading="lazy"
+                    decoding="async"
+                  />
+                )}
                 <p
                   className={["card-explain", questionExplanationText ? "" : "ui-hidden"].filter(Boolean).join(" ")}
                   aria-hidden={!questionExplanationText}
@@ -2531,6 +8304,7 @@ export default function App() {
               </div>
               <div className="actions card-actions">
                 <button
+                  ref={nextCardButtonRef}
                   className={["btn", "btn-accent", awaitingManualNext ? "" : "ui-hidden"].filter(Boolean).join(" ")}
                   onClick={goToQueuedNextCard}
                   disabled={!awaitingManualNext}
@@ -2540,6 +8314,23 @@ export default function App() {
                   Next Card
                 </button>
               </div>
+              <details
+                className="prompt-builder shortcut-sheet"
+                open={showShortcuts}
+                onToggle={(event) => setShowShortcuts(event.currentTarget.open)}
+              >
+                <summary>Keyboard Shortcuts</summary>
+                <dl className="shortcut-list">
+                  {STUDY_SHORTCUTS.map((shortcut) => (
+                    <div key={shortcut.keys} className="shortcut-row">
+                      <dt>
+                        <kbd>{shortcut.keys}</kbd>
+                      </dt>
+                      <dd>{shortcut.action}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </details>
             </div>
           )}
         </section>
@@ -2582,7 +8373,7 @@ export default function App() {
             <button
               className="btn btn-subtle"
               onClick={() => flushPending(false)}
-              disabled={pendingWrites === 0 || isFlushing}
+              disabled={!hasPendingSync || isFlushing}
             >
               {isFlushing ? "Syncing..." : "Sync Pending"}
             </button>
@@ -2592,6 +8383,9 @@ export default function App() {
             <button className="btn btn-subtle" onClick={() => setAppStage("stats")}>
               Open Stats
             </button>
+            <button className="btn btn-subtle" onClick={openRoundSetup} disabled={cards.length === 0}>
+              Round Setup
+            </button>
             <button className="btn btn-accent" onClick={handleStartStudyRound} disabled={cards.length === 0}>
               Start Next Round
             </button>
@@ -2630,6 +8424,10 @@ export default function App() {
               <span>Average Mastery</span>
               <strong>{formatPercent(statsOverview.averageMastery)}</strong>
             </div>
+            <div className="metric">
+              <span>Due Now</span>
+              <strong>{dueNowCount}</strong>
+            </div>
             <div className="metric">
               <span>Most Missed</span>
               <strong>{mostMissed}</strong>
@@ -2648,7 +8446,16 @@ export default function App() {
                   {hardestCards.map((card) => (
                     <div className="bar-row" key={`hardest-${card.cardId}`}>
                       <div className="bar-label">
-                        <strong>{card.front}</strong>
+                        <strong>
+                          <button
+                            type="button"
+                            className="bar-card-link"
+                            onClick={() => openCardEditor(card.cardId)}
+                            title="Edit card"
+                          >
+                            {card.front}
+                          </button>
+                        </strong>
                         <span>{`${card.wrong} wrong`}</span>
                       </div>
                       <div className="bar-track">
@@ -2670,6 +8477,43 @@ export default function App() {
                 </div>
               )}
             </section>
+            <section className="chart-card">
+              <div className="chart-head">
+                <h3>Slowest Cards</h3>
+                <span>By average response time</span>
+              </div>
+              {slowestCards.length === 0 ? (
+                <p className="chart-empty">No timed answers yet.</p>
+              ) : (
+                <div className="bar-list">
+                  {slowestCards.map((card) => (
+                    <div className="bar-row" key={`slowest-${card.cardId}`}>
+                      <div className="bar-label">
+                        <strong>
+                          <button
+                            type="button"
+                            className="bar-card-link"
+                            onClick={() => openCardEditor(card.cardId)}
+                            title="Edit card"
+                          >
+                            {card.front}
+                          </button>
+                        </strong>
+                        <span>{`${formatSeconds(card.avgResponseMs)} avg · ${formatSeconds(card.lastResponseMs)} last`}</span>
+                      </div>
+                      <div className="bar-track">
+                        <div
+                          className="bar-fill bar-fill-mid"
+                          style={{
+                            width: `${Math.max(8, (card.avgResponseMs / slowestMaxMs) * 100)}%`
+                          }}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </section>
             <section className="chart-card">
               <div className="chart-head">
                 <h3>Best Cards</h3>
@@ -2682,7 +8526,16 @@ export default function App() {
                   {strongestCards.map((card) => (
                     <div className="bar-row" key={`strongest-${card.cardId}`}>
                       <div className="bar-label">
-                        <strong>{card.front}</strong>
+                        <strong>
+                          <button
+                            type="button"
+                            className="bar-card-link"
+                            onClick={() => openCardEditor(card.cardId)}
+                            title="Edit card"
+                          >
+                            {card.front}
+                          </button>
+                        </strong>
                         <span>{formatPercent(card.masteryValue)}</span>
                       </div>
                       <div className="bar-track">
@@ -2704,6 +8557,90 @@ export default function App() {
                 </div>
               )}
             </section>
+            <section className="chart-card">
+              <div className="chart-head">
+                <h3>Leeches</h3>
+                <span>By lapses</span>
+              </div>
+              {leechCards.length === 0 ? (
+                <p className="chart-empty">No leeches. A card becomes one after repeated lapses.</p>
+              ) : (
+                <ul className="queue-list">
+                  {leechCards.map((card) => (
+                    <li key={`leech-${card.cardId}`}>
+                      <div className="bar-label">
+                        <strong>
+                          <button
+                            type="button"
+                            className="bar-card-link"
+                            onClick={() => openCardEditor(card.cardId)}
+                            title="Edit card"
+                          >
+                            {card.front}
+                          </button>
+                        </strong>
+                        <span>{`${card.lapses} lapses · ${card.wrongCount} wrong`}</span>
+                      </div>
+                      <div className="actions">
+                        <button
+                          className="btn btn-subtle"
+                          onClick={() => handleSetCardStatus(card.cardId, "suspended")}
+                        >
+                          Suspend
+                        </button>
+                        <button
+                          className="btn btn-subtle"
+                          onClick={() => handleSetCardStatus(card.cardId, "buried")}
+                        >
+                          Bury
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+            <section className="chart-card">
+              <div className="chart-head">
+                <h3>Suspended & Buried</h3>
+                <span>Left out of study</span>
+              </div>
+              {setAsideCards.length === 0 ? (
+                <p className="chart-empty">No suspended or buried cards.</p>
+              ) : (
+                <ul className="queue-list">
+                  {setAsideCards.map((card) => (
+                    <li key={`set-aside-${card.cardId}`}>
+                      <div className="bar-label">
+                        <strong>
+                          <button
+                            type="button"
+                            className="bar-card-link"
+                            onClick={() => openCardEditor(card.cardId)}
+                            title="Edit card"
+                          >
+                            {card.front}
+                          </button>
+                        </strong>
+                        <span>
+                          {card.cardStatus === "buried"
+                            ? `buried until ${new Date(card.buriedUntil).toLocaleString()}`
+                            : "suspended"}
+                        </span>
+                      </div>
+                      <div className="actions">
+                        <button
+                          className="btn btn-subtle"
+                          onClick={() => handleSetCardStatus(card.cardId, "")}
+                        >
+                          Restore
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
             <section className="chart-card">
               <div className="chart-head">
                 <h3>Most Practiced</h3>
@@ -2716,7 +8653,16 @@ export default function App() {
                   {mostSeenCards.map((card) => (
                     <div className="bar-row" key={`seen-${card.cardId}`}>
                       <div className="bar-label">
-                        <strong>{card.front}</strong>
+                        <strong>
+                          <button
+                            type="button"
+                            className="bar-card-link"
+                            onClick={() => openCardEditor(card.cardId)}
+                            title="Edit card"
+                          >
+                            {card.front}
+                          </button>
+                        </strong>
                         <span>{`${card.seen} seen`}</span>
                       </div>
                       <div className="bar-track">
@@ -2797,7 +8743,211 @@ export default function App() {
               )}
             </section>
           </div>
+          <section className="chart-card class-dashboard">
+            <div className="chart-head">
+              <h3>Class Dashboard</h3>
+              <span>Every learner's progress tab</span>
+            </div>
+            <div className="actions">
+              <button
+                className="btn btn-subtle"
+                onClick={handleLoadClassProgress}
+                disabled={cards.length === 0 || isLoadingClass}
+              >
+                {isLoadingClass
+                  ? "Reading..."
+                  : classProgress
+                    ? "Refresh Class Progress"
+                    : "Load Class Progress"}
+              </button>
+            </div>
+            {!classProgress ? (
+              <p className="chart-empty">
+                Reads the progress tab of everyone who has studied the loaded decks.
+              </p>
+            ) : (
+              <>
+                <div className="dashboard-table-wrap">
+                  <table className="dashboard-table">
+                    <thead>
+                      <tr>
+                        <th scope="col">Learner</th>
+                        <th scope="col">Cards Seen</th>
+                        <th scope="col">Answers</th>
+                        <th scope="col">Mastery</th>
+                        <th scope="col">Last Activity</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {classProgress.learners.map((entry) => (
+                        <tr key={entry.learner}>
+                          <th scope="row">
+                            <button
+                              type="button"
+                              className="bar-card-link"
+                              onClick={() => setClassLearner(entry.learner)}
+                              title="Show this learner's cards"
+                            >
+                              {entry.learner}
+                            </button>
+                          </th>
+                          <td>{`${entry.seenCards} / ${classProgress.cards.length}`}</td>
+                          <td>{entry.totalSeen}</td>
+                          <td>{formatPercent(entry.averageMastery)}</td>
+                          <td>{formatActivity(entry.lastActivity)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="stats-grid">
+                  <section className="chart-card">
+                    <div className="chart-head">
+                      <h3>Class Hardest Cards</h3>
+                      <span>Wrong answers, all learners</span>
+                    </div>
+                    {classHardestCards.length === 0 ? (
+                      <p className="chart-empty">No attempts yet.</p>
+                    ) : (
+                      <div className="bar-list">
+                        {classHardestCards.map((card) => (
+                          <div className="bar-row" key={`class-hardest-${card.cardId}`}>
+                            <div className="bar-label">
+                              <strong>
+                                <button
+                                  type="button"
+                                  className="bar-card-link"
+                                  onClick={() => openCardEditor(card.cardId)}
+                                  title="Edit card"
+                                >
+                                  {card.front}
+                                </button>
+                              </strong>
+                              <span>{`${card.wrong} wrong · ${card.learnersSeen} learner(s)`}</span>
+                            </div>
+                            <div className="bar-track">
+                              <div
+                                className="bar-fill bar-fill-bad"
+                                style={{
+                                  width:
+                                    card.wrong <= 0
+                                      ? "0%"
+                                      : `${Math.max(8, (card.wrong / classHardestMaxWrong) * 100)}%`
+                                }}
+                              />
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </section>
+                  <section className="chart-card">
+                    <div className="chart-head">
+                      <h3>Class Tag Hotspots</h3>
+                      <span>Tags with more mistakes</span>
+                    </div>
+                    {classTopTags.length === 0 ? (
+                      <p className="chart-empty">No tags yet.</p>
+                    ) : (
+                      <div className="bar-list">
+                        {classTopTags.map((tag) => (
+                          <div className="bar-row" key={`class-tag-${tag.tag}`}>
+                            <div className="bar-label">
+                              <strong>{tag.tag}</strong>
+                              <span>{`${tag.wrong} wrong · ${formatPercent(tag.averageMastery)} mastery`}</span>
+                            </div>
+                            <div className="bar-track">
+                              <div
+                                className="bar-fill bar-fill-bad"
+                                style={{
+                                  width:
+                                    tag.wrong <= 0
+                                      ? "0%"
+                                      : `${Math.max(8, (tag.wrong / classTopTagWrongMax) * 100)}%`
+                                }}
+                              />
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </section>
+                </div>
+                <label className="field">
+                  <span>Cards For</span>
+                  <select
+                    value={classLearner}
+                    onChange={(event) => setClassLearner(event.target.value)}
+                  >
+                    <option value="">Whole class</option>
+                    {classProgress.learners.map((entry) => (
+                      <option key={entry.learner} value={entry.learner}>
+                        {entry.learner}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <div className="dashboard-table-wrap">
+                  <table className="dashboard-table">
+                    <thead>
+                      <tr>
+                        <th scope="col">Card</th>
+                        <th scope="col">Mastery</th>
+                        <th scope="col">Seen</th>
+                        {!classLearnerProgress && <th scope="col">Learners</th>}
+                        <th scope="col">Last Activity</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {classProgress.cards.map((card) => {
+                        const entry = classLearnerProgress
+                          ? classLearnerProgress.progress.get(card.cardId)
+                          : card;
+                        return (
+                          <tr key={card.cardId}>
+                            <th scope="row">{card.front}</th>
+                            <td>{formatPercent(entry?.masteryValue ?? 0)}</td>
+                            <td>{entry?.seen ?? 0}</td>
+                            {!classLearnerProgress && (
+                              <td>{`${card.learnersSeen} / ${classProgress.learners.length}`}</td>
+                            )}
+                            <td>
+                              {formatActivity(
+                                classLearnerProgress
+                                  ? parseTimestamp(entry?.lastSeenAt) ?? 0
+                                  : card.lastActivity
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </section>
+          <section className="chart-card export-panel">
+            <div className="chart-head">
+              <h3>Export</h3>
+              <span>Loaded cards with their progress</span>
+            </div>
+            <div className="actions">
+              <button className="btn btn-subtle" onClick={() => handleExport("csv")} disabled={cards.length === 0}>
+                Export CSV
+              </button>
+              <button className="btn btn-subtle" onClick={() => handleExport("json")} disabled={cards.length === 0}>
+                Export JSON
+              </button>
+              <button className="btn btn-subtle" onClick={() => handleExport("anki")} disabled={cards.length === 0}>
+                Export For Anki
+              </button>
+            </div>
+          </section>
           <div className="actions">
+            <button className="btn btn-subtle" onClick={openNewCardEditor} disabled={cards.length === 0}>
+              Add Card
+            </button>
             <button className="btn btn-subtle" onClick={() => setAppStage("summary")}>
               Back To Round Stats
             </button>
@@ -2811,6 +8961,187 @@ export default function App() {
         </section>
       )}
 
+      {roundDraft && (
+        <section
+          ref={roundSetupRef}
+          className="panel round-setup"
+          role="dialog"
+          aria-labelledby="round-setup-title"
+        >
+          <h2 id="round-setup-title">Round Setup</h2>
+          <p className="status-inline">
+            {`${roundDraftCount} of ${cards.length} loaded cards match.`}
+          </p>
+          <div className="round-setup-grid">
+            <label className="field">
+              <span>Max Cards (blank for all)</span>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={roundDraft.limit}
+                onChange={(event) => updateRoundDraft("limit", event.target.value)}
+              />
+            </label>
+            <label className="field">
+              <span>Only Tags (comma-separated)</span>
+              <input
+                type="text"
+                value={roundDraft.includeTags}
+                onChange={(event) => updateRoundDraft("includeTags", event.target.value)}
+              />
+            </label>
+            <label className="field">
+              <span>Skip Tags (comma-separated)</span>
+              <input
+                type="text"
+                value={roundDraft.excludeTags}
+                onChange={(event) => updateRoundDraft("excludeTags", event.target.value)}
+              />
+            </label>
+            <label className="field">
+              <span>Mastery From</span>
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                value={roundDraft.minMastery}
+                onChange={(event) => updateRoundDraft("minMastery", event.target.value)}
+              />
+            </label>
+            <label className="field">
+              <span>Mastery To</span>
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                value={roundDraft.maxMastery}
+                onChange={(event) => updateRoundDraft("maxMastery", event.target.value)}
+              />
+            </label>
+          </div>
+          {loadedTags.length > 0 && (
+            <p className="status-inline">{`Tags in loaded cards: ${loadedTags.join(", ")}`}</p>
+          )}
+          <div className="deck-list">
+            <label className="deck-option">
+              <input
+                type="checkbox"
+                checked={roundDraft.missedLastTime}
+                onChange={(event) => updateRoundDraft("missedLastTime", event.target.checked)}
+              />
+              <span>Only cards I missed last time</span>
+            </label>
+            <label className="deck-option">
+              <input
+                type="checkbox"
+                checked={roundDraft.neverSeen}
+                onChange={(event) => updateRoundDraft("neverSeen", event.target.checked)}
+              />
+              <span>Never seen</span>
+            </label>
+            <label className="deck-option">
+              <input
+                type="checkbox"
+                checked={roundDraft.dueOnly}
+                onChange={(event) => updateRoundDraft("dueOnly", event.target.checked)}
+              />
+              <span>Due now</span>
+            </label>
+          </div>
+          <p className="status-inline">
+            Ticked options are combined: a card is kept if it matches any of them.
+          </p>
+          {Object.keys(roundPresets).length > 0 && (
+            <ul className="queue-list">
+              {Object.keys(roundPresets)
+                .sort((a, b) => a.localeCompare(b))
+                .map((name) => (
+                  <li key={name} className="recent-row">
+                    <span>{name}</span>
+                    <div className="actions">
+                      <button
+                        className="btn btn-subtle"
+                        onClick={() => setRoundDraft(roundPresets[name])}
+                      >
+                        Use
+                      </button>
+                      <button className="btn btn-subtle" onClick={() => handleDeleteRoundPreset(name)}>
+                        Delete
+                      </button>
+                    </div>
+                  </li>
+                ))}
+            </ul>
+          )}
+          <div className="actions">
+            <label className="field inline-field">
+              <span>Preset Name</span>
+              <input
+                type="text"
+                value={roundPresetName}
+                onChange={(event) => setRoundPresetName(event.target.value)}
+              />
+            </label>
+            <button
+              className="btn btn-subtle"
+              onClick={handleSaveRoundPreset}
+              disabled={!roundPresetName.trim()}
+            >
+              Save Preset
+            </button>
+          </div>
+          <div className="actions">
+            <button
+              className="btn btn-accent"
+              onClick={handleStartRoundFromSetup}
+              disabled={roundDraftCount === 0}
+            >
+              Start Round
+            </button>
+            <button className="btn btn-subtle" onClick={() => setRoundDraft(DEFAULT_ROUND_FILTERS)}>
+              All Cards
+            </button>
+            <button className="btn btn-subtle" onClick={() => setRoundDraft(null)}>
+              Cancel
+            </button>
+          </div>
+        </section>
+      )}
+
+      {syncConflicts.length > 0 && (
+        <section className="panel sync-conflict" role="alertdialog" aria-labelledby="sync-conflict-title">
+          <h2 id="sync-conflict-title">Sheet Changed While Studying</h2>
+          <p className="status-inline">
+            {`Rows in the progress tabs were changed outside this app, and ${syncConflicts.length} update(s) no longer match a row for their card. They were not written, so nothing in the sheet was overwritten. Reload cards to match them again by card ID.`}
+          </p>
+          <ul className="queue-list">
+            {syncConflicts.map((conflict) => {
+              const card = cards.find((item) => item.cardId === conflict.cardId);
+              return (
+                <li key={`conflict-${conflict.key}`}>
+                  <strong>{card?.front || conflict.front || conflict.cardId || `Row ${conflict.rowNumber}`}</strong>
+                  <span>{`Expected at ${conflict.statsTitle} row ${conflict.rowNumber}`}</span>
+                </li>
+              );
+            })}
+          </ul>
+          <div className="actions">
+            <button className="btn btn-accent" onClick={handleReloadAfterConflict}>
+              Reload Cards
+            </button>
+            <button className="btn btn-subtle" onClick={handleKeepConflicts}>
+              Keep Until Next Load
+            </button>
+            <button className="btn btn-subtle" onClick={handleDiscardConflicts}>
+              Discard These Updates
+            </button>
+          </div>
+        </section>
+      )}
+
       <p className={`status ${statusIsError ? "status-error" : ""}`}>{status}</p>
     </div>
   );
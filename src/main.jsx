@@ -3,6 +3,16 @@ import { createRoot } from "react-dom/client";
 import App from "./App";
 import "./styles.css";
 
+if ("serviceWorker" in navigator && import.meta.env.PROD) {
+  window.addEventListener("load", () => {
+    // A new build id changes the worker's URL, which installs it afresh.
+    const workerUrl = `${import.meta.env.BASE_URL}sw.js?build=${__BUILD_ID__}`;
+    navigator.serviceWorker.register(workerUrl).catch(() => {
+      // no-op: the app still works online without offline caching
+    });
+  });
+}
+
 createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <App />
@@ -2,6 +2,10 @@ import { defineConfig } from "vite";
 
 export default defineConfig({
   base: process.env.VITE_BASE_PATH || "/",
+  // Names the service worker's cache, so each deploy replaces the last one's.
+  define: {
+    __BUILD_ID__: JSON.stringify(Date.now().toString(36))
+  },
   server: {
     port: 5173,
     host: true